@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+require('yargs')
+    .scriptName('ls-merge')
+    .usage(`\nMerge one source directory and sub-directories into a directory created from a `
+           + `specific tag/version of limesurvey replacing files when the limesurvey's folder already `
+           + `exists.\nUSAGE: $0 [merge] [--junk] [--dots]\n`
+           + `       $0 --no-interactive --tag <tag> [--db-* ...] [--sql <file>] [--merge <from:glob:to> ...] --yes\n`
+           + `       $0 upgrade <dir> [--tag <tag>] [--merge <from:glob:to> ...]\n`
+           + `       $0 db create|import [--db-* ...]\n`
+           + `       $0 config set <dir> [dotted.key=value ...]\n`
+           + `       $0 list-tags|fetch|clean|status`)
+    .command(require('./commands/Merge'))
+    .command(require('./commands/Upgrade'))
+    .command(require('./commands/Db'))
+    .command(require('./commands/Config'))
+    .command(require('./commands/ListTags'))
+    .command(require('./commands/Fetch'))
+    .command(require('./commands/Clean'))
+    .command(require('./commands/Status'))
+    .alias('d', ['debug', 'verbose'])
+    .describe('d', 'Show debug information')
+    .describe('interactive', 'Prompt for the values not given as arguments (use --no-interactive '
+                             + 'to fail instead)')
+    .boolean(['d', 'interactive'])
+    .default({interactive: true})
+    .help()
+    .argv;
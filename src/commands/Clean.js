@@ -0,0 +1,33 @@
+'use strict';
+const {promises: fsp, lstatSync: stat} = require('fs');
+const {join}                           = require('path');
+const {remove: rmdir}                  = require('fs-extra');
+const {tmpdir}                         = require('os');
+const readline                         = require('readline');
+const Cache                            = require('../lib/Cache');
+const Steps                            = require('../lib/Steps');
+const {spinner, handler}               = require('./Cli');
+
+async function clean(argv, {config}) {
+    let folders = await fsp.readdir(tmpdir(), {});
+    readline.moveCursor(process.stdout, 0, -1);
+    readline.clearLine(process.stdout);
+    readline.cursorTo(process.stdout, 0);
+    spinner.start('Deleting temporary files...');
+    await Promise.all(folders.filter(folder => folder.startsWith(Steps.PREFIX))
+        .map(folder => join(tmpdir(), folder))
+        .filter(folder => stat(folder).isDirectory())
+        .map(rmdir));
+    await Cache.cleanAll({dir: argv.cacheDir || config.cacheDir, spinner});
+    spinner.succeed('Temporary files deleted!');
+}
+
+module.exports = {
+    command: 'clean',
+    describe: 'Clean temporary files and the repository cache',
+    builder: yargs => yargs
+        .describe('cache-dir', `Location of the repository cache (default: ${Cache.DEFAULT_DIR})`)
+        .requiresArg('cache-dir')
+        .string('cache-dir'),
+    handler: handler(clean)
+};
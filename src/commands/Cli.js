@@ -0,0 +1,93 @@
+'use strict';
+const spinner          = require('../lib/Spinner')();
+const chalk            = require('chalk');
+const Abort            = require('../lib/Abort');
+const Config           = require('../lib/Config');
+const Journal          = require('../lib/Journal');
+const {CancelledError} = require('../lib/Errors');
+
+/**
+ * Undoes the steps recorded in `journal` and reports what was (not) rolled back.
+ */
+async function rollback(journal) {
+    if (!journal.steps.length)
+        return;
+    spinner.start('Rolling back');
+    for (const {description, undone, error} of await journal.rollback()) {
+        if (undone)
+            spinner.succeed(`Rolled back: ${description}`);
+        else
+            spinner.fail(`Not rolled back: ${description}` + (error ? ` (${error})` : ''));
+    }
+}
+
+/**
+ * Runs `action(abort)`, committing the journal once done. When interrupted (Ctrl+C), `abort` is
+ * aborted to stop the steps then, once `action()` settled, the journal is rolled back and the
+ * process exits.
+ */
+async function interruptible(journal, action) {
+    const abort       = Abort();
+    // kept until the end: without listener, the spinner's exit handler kills the process on SIGINT
+    const onInterrupt = () => {
+        if (abort.aborted)
+            return;
+        spinner.stop();
+        console.warn('\n' + chalk.keyword('orange')('Interrupted!'));
+        abort.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+    let result;
+    try {
+        result = await action(abort);
+    } catch (err) {
+        // the failure of an aborted step is the interruption
+        if (!abort.aborted)
+            throw err;
+    } finally {
+        // the steps are stopped: nothing is written anymore while rolling back
+        if (abort.aborted) {
+            await rollback(journal);
+            process.exit(130);
+        }
+        process.removeListener('SIGINT', onInterrupt);
+    }
+    await journal.commit();
+    return result;
+}
+
+/**
+ * Handler of a command running `action(argv, {config, journal})` then exiting: errors are
+ * reported (with their stack trace in debug mode) and the journal rolled back.
+ */
+function handler(action) {
+    return async argv => {
+        const journal = Journal();
+        try {
+            await action(argv, {config: await Config.load(), journal});
+        } catch (err) {
+            if (err instanceof CancelledError) {
+                spinner.stop();
+                console.warn('\n' + chalk.keyword('orange')('Cancelled!'));
+                await rollback(journal);
+                process.exit(0);
+            }
+            if (argv.verbose)
+                console.log('\n' + chalk.yellow(err.stack));
+            spinner.fail(`${err.constructor.name}: ${err.message}`);
+            await rollback(journal);
+            process.exit(1);
+        }
+        process.exit(0);
+    };
+}
+
+/**
+ * Indents the output of a LimeSurvey console command to print it in gray.
+ */
+function printOutput(output) {
+    if (output)
+        console.log(chalk.gray(output.trimEnd().replace(/^/gm, '    ')));
+}
+
+module.exports = {spinner, rollback, interruptible, handler, printOutput};
@@ -0,0 +1,66 @@
+'use strict';
+const {existsSync: exists}           = require('fs');
+const {join, resolve}                = require('path');
+const prompts                        = require('prompts');
+const chalk                          = require('chalk');
+const ConfigFile                     = require('../lib/ConfigFile');
+const Diff                           = require('../lib/Diff');
+const Profiles                       = require('../lib/Profiles');
+const Secrets                        = require('../lib/Secrets');
+const Steps                          = require('../lib/Steps');
+const Options                        = require('./Options');
+const Questions                      = require('./Questions');
+const {spinner, handler}             = require('./Cli');
+const {LsMergeError, CancelledError} = require('../lib/Errors');
+
+// arguments which make `config set` write the database settings
+const DATABASE = ['profile', 'dbType', 'dbHost', 'dbPort', 'dbName', 'dbUser', 'dbPasswordEnv', 'tablePrefix'];
+
+async function set(argv, {config}) {
+    const dir       = resolve(argv.dir);
+    const overrides = Object.assign({}, ...(argv.values || []).map(ConfigFile.override));
+    const db        = DATABASE.some(name => argv[name] != null) ? await Questions.database(argv, config) : null;
+    if (!exists(join(dir, ConfigFile.CONFIG)) && !(db && exists(join(dir, ConfigFile.sample(db.type)))))
+        throw new LsMergeError(`${ConfigFile.CONFIG} not found in ${dir}`);
+    const diff = await Steps.configure(dir, db, overrides, {spinner});
+    if (diff) {
+        console.log(chalk.bold(`Changes made to ${ConfigFile.CONFIG}:`));
+        console.log(Diff.color(diff.trimEnd()).replace(/^/gm, '    '));
+    }
+}
+
+async function storeSecret(argv) {
+    const {value} = await prompts({
+        type: 'password',
+        name: 'value',
+        message: `Password to store as "${argv.name}":`
+    });
+    if (value == null)
+        throw new CancelledError();
+    await Secrets.set(argv.name, value, await Profiles.passphrase(argv.interactive));
+    spinner.succeed(`Secret "${argv.name}" stored in ${Secrets.SECRETS_FILE}`);
+}
+
+module.exports = {
+    command: 'config <command>',
+    describe: 'Update the config.php of a limesurvey directory or the secret store',
+    builder: yargs => yargs
+        .command({
+            command: 'set <dir> [values..]',
+            describe: 'Set values ("dotted.key=value", the value being parsed as JSON when possible) in the '
+                      + 'config.php of the limesurvey directory <dir>, along with the database settings when '
+                      + 'a --db-* argument or a profile is given',
+            builder: yargs => Options.database(yargs)
+                .positional('dir', {describe: 'The limesurvey directory', type: 'string'})
+                .positional('values', {describe: 'Values to set (e.g. config.debug=2)', type: 'string'}),
+            handler: handler(set)
+        })
+        .command({
+            command: 'store-secret <name>',
+            describe: 'Encrypt a password in the secret store under <name> so that profiles can reference it '
+                      + 'with {"secret": "<name>"}',
+            handler: handler(storeSecret)
+        })
+        .demandCommand(1, 'Choose a config command: set or store-secret'),
+    handler() {}
+};
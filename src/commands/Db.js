@@ -0,0 +1,56 @@
+'use strict';
+const {resolve}                                      = require('path');
+const Steps                                          = require('../lib/Steps');
+const Options                                        = require('./Options');
+const Questions                                      = require('./Questions');
+const {spinner, interruptible, handler, printOutput} = require('./Cli');
+const {InvalidOptionError}                           = require('../lib/Errors');
+
+async function create(argv, {config, journal}) {
+    const db = await Questions.database(argv, config, {grant: true});
+    await interruptible(journal, () => Steps.createDatabase(db, {
+        ifExists: argv.ifDbExists,
+        interactive: argv.interactive,
+        spinner,
+        journal
+    }));
+}
+
+async function importInto(argv, {config, journal}) {
+    if (argv.migrate && argv.dir == null)
+        throw new InvalidOptionError('migrate', 'the migrations are run by the console of a limesurvey directory, '
+                                                + 'give it as [dir]');
+    const db                                = await Questions.database(argv, config);
+    const {sqlFile, sqlEntry, source, from} = await Questions.fill(argv, db, {empty: false});
+    await interruptible(journal, async abort => {
+        await Steps.importDatabase(db, {sqlFile, sqlEntry, source, from, spinner, abort});
+        if (argv.migrate) {
+            abort.check();
+            const migrated = await Steps.migrate(resolve(argv.dir), db, {php: argv.php, spinner, abort, journal});
+            printOutput(migrated && migrated.output);
+        }
+    });
+}
+
+module.exports = {
+    command: 'db <command>',
+    describe: 'Create or fill the database of a limesurvey directory on its own',
+    builder: yargs => yargs
+        .command({
+            command: 'create',
+            describe: 'Create the database (and its dedicated user)',
+            builder: yargs => Options.provision(Options.database(yargs)),
+            handler: handler(create)
+        })
+        .command({
+            command: 'import [dir]',
+            describe: 'Import an SQL dump or a copy of another database into an existing database, then run the '
+                      + 'migrations of the limesurvey directory [dir] with --migrate',
+            builder: yargs => [Options.database, Options.fill, Options.migrate, Options.browse]
+                .reduce((yargs, options) => options(yargs), yargs)
+                .positional('dir', {describe: 'The limesurvey directory running the migrations', type: 'string'}),
+            handler: handler(importInto)
+        })
+        .demandCommand(1, 'Choose a db command: create or import'),
+    handler() {}
+};
@@ -0,0 +1,17 @@
+'use strict';
+const Questions          = require('./Questions');
+const Options            = require('./Options');
+const {spinner, handler} = require('./Cli');
+
+async function fetch(argv, {config}) {
+    argv.fetch = true;
+    const {repository, refs} = await Questions.repository(argv, config);
+    spinner.info(`${refs.tags.length} tag(s) and ${refs.branches.length} branch(es) of ${repository} cached`);
+}
+
+module.exports = {
+    command: 'fetch',
+    describe: 'Fetch the new tags of the cached limesurvey repository (cloned if needed)',
+    builder: yargs => Options.repository(yargs),
+    handler: handler(fetch)
+};
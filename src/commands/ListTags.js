@@ -0,0 +1,30 @@
+'use strict';
+const semver    = require('semver');
+const Versions  = require('../lib/Versions');
+const Questions = require('./Questions');
+const Options   = require('./Options');
+const {handler} = require('./Cli');
+
+async function listTags(argv, {config}) {
+    const {refs}  = await Questions.repository(argv, config);
+    const options = {prereleases: argv.prereleases, plusBuilds: argv.plusBuilds};
+    const tags    = Versions.list(refs.tags, options)
+        .filter(({version}) => argv.tagRange == null
+                               || semver.satisfies(version, argv.tagRange, {includePrerelease: argv.prereleases}))
+        .map(({tag, group}) => ({tag, group, date: refs.dates[tag] || null}));
+    if (argv.json)
+        console.log(JSON.stringify(tags, null, 2));
+    else
+        for (const {tag, date} of tags)
+            console.log(date ? `${tag}\t${date}` : tag);
+}
+
+module.exports = {
+    command: 'list-tags',
+    describe: 'List the tags/versions of the limesurvey repository, newest first',
+    builder: yargs => Options.version(Options.repository(yargs))
+        .describe('tag-range', 'Only list the tags/versions matching a semver range (e.g. "^3.15")')
+        .describe('json', 'Print the tags as JSON')
+        .boolean('json'),
+    handler: handler(listTags)
+};
@@ -0,0 +1,284 @@
+'use strict';
+const {existsSync: exists}                           = require('fs');
+const {resolve}                                      = require('path');
+const prompts                                        = require('prompts');
+const chalk                                          = require('chalk');
+const _                                              = require('lodash');
+const ask                                            = require('../lib/Ask');
+const ConfigFile                                     = require('../lib/ConfigFile');
+const Console                                        = require('../lib/Console');
+const Database                                       = require('../lib/Database');
+const Diff                                           = require('../lib/Diff');
+const Dump                                           = require('../lib/Dump');
+const Mappings                                       = require('../lib/Mappings');
+const Output                                         = require('../lib/Output');
+const Plan                                           = require('../lib/Plan');
+const Prefix                                         = require('../lib/Prefix');
+const Recipe                                         = require('../lib/Recipe');
+const Steps                                          = require('../lib/Steps');
+const Validate                                       = require('../lib/Validate');
+const Options                                        = require('./Options');
+const Questions                                      = require('./Questions');
+const {spinner, interruptible, handler, printOutput} = require('./Cli');
+const {MissingOptionError, CancelledError}           = require('../lib/Errors');
+
+/**
+ * Fills the arguments missing from `argv` with the values of the recipe --recipe.
+ */
+async function applyRecipe(argv) {
+    if (argv.recipe == null)
+        return {db: {}, source: {}, config: {}, merge: []};
+    const recipe = await Recipe.load(argv.recipe);
+    _.defaults(argv, {
+        repo: recipe.repo,
+        tag: recipe.tag,
+        tagRange: recipe.tagRange,
+        baseTag: recipe.baseTag,
+        profile: recipe.profile,
+        out: recipe.out,
+        onExisting: recipe.onExisting,
+        dbType: recipe.db.type,
+        dbHost: recipe.db.host,
+        dbPort: recipe.db.port,
+        dbName: recipe.db.dbname,
+        dbUser: recipe.db.username,
+        dbPasswordEnv: recipe.db.passwordEnv,
+        tablePrefix: recipe.db.tablePrefix,
+        dbCharset: recipe.db.charset,
+        dbCollation: recipe.db.collation,
+        ifDbExists: recipe.db.ifExists,
+        dbGrantUser: (recipe.db.grant || {}).username,
+        dbGrantHost: (recipe.db.grant || {}).host,
+        dbGrantPasswordEnv: (recipe.db.grant || {}).passwordEnv,
+        sql: recipe.sql,
+        sqlEntry: recipe.sqlEntry,
+        sqlPrefix: recipe.sqlPrefix,
+        srcDbHost: recipe.source.host,
+        srcDbPort: recipe.source.port,
+        srcDbName: recipe.source.dbname,
+        srcDbUser: recipe.source.username,
+        srcDbPasswordEnv: recipe.source.passwordEnv,
+        srcTablePrefix: recipe.source.tablePrefix,
+        migrate: recipe.migrate,
+        install: recipe.install && true,
+        adminUser: (recipe.install || {}).username,
+        adminPasswordEnv: (recipe.install || {}).passwordEnv,
+        adminName: (recipe.install || {}).fullName,
+        adminEmail: (recipe.install || {}).email
+    });
+    return recipe;
+}
+
+/**
+ * New limesurvey directory: --out or ./limesurvey-<tag>, handled according to --on-existing
+ * (prompted) when it exists.
+ */
+async function output(argv, ref) {
+    let outDir = resolve(argv.out != null ? argv.out : Steps.defaultName(ref));
+    if (exists(outDir) && argv.onExisting == null && argv.interactive) {
+        argv.onExisting = (await prompts({
+            type: 'select',
+            name: 'onExisting',
+            message: `${outDir} already exists`,
+            choices: [
+                {title: 'Overwrite it', value: 'overwrite'},
+                {title: 'Archive it (timestamped .tar.gz) and replace it', value: 'backup'},
+                {title: 'Check out into it, keeping its other files', value: 'merge'},
+                {title: 'Choose another directory', value: 'rename'}
+            ]
+        }, {onCancel() { throw new CancelledError(); }})).onExisting;
+    }
+    Validate.output(outDir, argv.onExisting, {keepGit: argv.keepGit});
+    if (exists(outDir) && argv.onExisting === 'rename') {
+        if (argv.interactive) {
+            const {out} = await prompts({
+                type: 'text',
+                name: 'out',
+                message: 'New limesurvey directory:',
+                initial: Output.freeName(outDir),
+                validate: out => !exists(resolve(out)) || `${resolve(out)} already exists`
+            }, {onCancel() { throw new CancelledError(); }});
+            if (out) outDir = resolve(out);
+        } else
+            outDir = Output.freeName(outDir);
+    }
+    return outDir;
+}
+
+async function merge(argv, {config, journal}) {
+    const recipe    = await applyRecipe(argv);
+    const overrides = Object.assign({}, recipe.config, ...(argv.set || []).map(ConfigFile.override));
+    if (argv.tag == null && argv.tagRange == null && !argv.interactive)
+        throw new MissingOptionError('tag', ask.NON_INTERACTIVE);
+    const {repository, cache, refs} = await Questions.repository(argv, config);
+    if (argv.baseTag != null)
+        await Validate.ref(cache, argv.baseTag, 'base-tag');
+    argv.onConflict = Validate.policy(argv.onConflict, argv.baseTag);
+    const choice    = await Questions.tag(argv, {repository, cache, refs});
+    const outDir    = await output(argv, choice);
+    const db        = await Questions.database(argv, config, {dbname: Steps.defaultName(choice), grant: true});
+
+    const {sqlFile, sqlEntry, source, from} = await Questions.fill(argv, db);
+    if (argv.install == null && argv.interactive && !sqlFile && !source)
+        argv.install = await Questions.toggle('Install LimeSurvey in the empty database?', true);
+    const admin = argv.install ? await Questions.admin(argv) : null;
+    if (argv.migrate == null && argv.interactive && (sqlFile || source) && Database.hasDriver(db.type))
+        argv.migrate = await Questions.toggle('Run the LimeSurvey database migrations once the database is filled?',
+                                              true);
+
+    const mappings = (argv.merge && argv.merge.length ? argv.merge : recipe.merge).map(Mappings.check);
+    if (!mappings.length && argv.interactive)
+        mappings.push(...await Questions.mappings(argv, {cache, ref: choice}));
+
+    if (argv.dryRun) {
+        const sqlParts = sqlFile ? await Dump.parts(sqlFile, {entry: sqlEntry}) : [];
+        const plan     = await Plan.build({
+            cache,
+            ref: choice,
+            outDir,
+            onExisting: argv.onExisting,
+            keepGit: argv.keepGit,
+            mappings,
+            policy: argv.onConflict,
+            db,
+            overrides,
+            ifExists: argv.ifDbExists,
+            sqlFile,
+            sqlParts,
+            source,
+            migrate: argv.migrate && Console.commandLine('updatedb', [], {php: argv.php}),
+            install: admin && Console.commandLine('install', [admin.username, '********', admin.fullName,
+                                                              admin.email], {php: argv.php}),
+            sqlPrefix: from != null || !sqlParts.length ? from || undefined
+                                                        : await Prefix.sniff(sqlParts, {dialect: db.type}),
+            dots: argv.includeDots
+        });
+        console.log(argv.json ? JSON.stringify(plan, null, 2) : Plan.format(plan));
+    } else {
+        if (!argv.yes && !argv.interactive)
+            throw new MissingOptionError('yes', 'the confirmation cannot be prompted with --no-interactive');
+        if (!argv.yes) {
+            console.log('\n\n\n\n\n\n');
+            const {cancel} = await prompts({
+                type: 'toggle',
+                name: 'cancel',
+                message: `Please confirm you want to checkout limesurvey@${choice}\n  `
+                         + `and apply the following database settings:\n  `
+                         + `       type => ${Database.TYPES[db.type].title},\n  `
+                         + `   hostname => ${db.host},\n  `
+                         + `       port => ${db.port},\n  `
+                         + `   database => ${db.dbname} (${db.charset}),\n  `
+                         + `   username => ${db.username},\n  `
+                         + (db.grant ? `  dedicated => ${db.grant.username} (created if needed),\n  ` : '')
+                         + `     prefix => ${db.prefix}\n  `
+                         + `and copy the following files/folders:\n  `
+                         + mappings.map(({globFrom, to, policy}) =>
+                             `     ${globFrom} => ${to} (${policy || argv.onConflict})\n`),
+                initial: false,
+                active: 'Cancel',
+                inactive: 'Confirm'
+            }, {onCancel() { throw new CancelledError(); }});
+            if (cancel)
+                throw new CancelledError();
+        }
+
+        console.log();
+        console.log(chalk.bold.cyan('------------- PROCESSING -------------'));
+        const {configDiff, migrated, installed} = await interruptible(journal, abort => Steps.run({
+            cache,
+            ref: choice,
+            outDir,
+            onExisting: argv.onExisting,
+            keepGit: argv.keepGit,
+            mappings,
+            policy: argv.onConflict,
+            base: argv.baseTag,
+            dots: argv.includeDots,
+            db,
+            overrides,
+            ifExists: argv.ifDbExists,
+            sqlFile,
+            sqlEntry,
+            source,
+            from,
+            migrate: argv.migrate,
+            admin,
+            php: argv.php
+        }, {
+            interactive: argv.interactive,
+            journal,
+            spinner,
+            abort,
+            onMissingConfig: async () => argv.yes
+                                         || Questions.toggle('The configuration file could not be found.\n  '
+                                                             + 'Do you want to create the database anyway?')
+        }));
+        printOutput(migrated && migrated.output);
+        printOutput(installed && installed.output);
+
+        if (configDiff) {
+            console.log(chalk.bold(`Changes made to ${ConfigFile.CONFIG}:`));
+            console.log(Diff.color(configDiff.trimEnd()).replace(/^/gm, '    '));
+        }
+        console.log(chalk.hex('#00FF00').bold('Done!'));
+    }
+
+    if (argv.interactive) {
+        let {file} = await prompts([
+            {
+                type: 'toggle',
+                name: 'save',
+                message: 'Save these answers as a recipe?',
+                initial: false,
+                active: 'Yes',
+                inactive: 'No'
+            }, {
+                type: prev => prev && 'text',
+                name: 'file',
+                message: 'Recipe file (.json, .yml or .yaml):',
+                initial: argv.recipe || 'ls-merge.json'
+            }
+        ]);
+        if (file) {
+            await Recipe.save(file, {
+                repo: argv.repo,
+                tag: choice,
+                baseTag: argv.baseTag,
+                profile: argv.profile,
+                out: argv.out != null ? outDir : undefined,
+                onExisting: argv.onExisting,
+                db: Object.assign({}, db, {
+                    passwordEnv: argv.dbPasswordEnv,
+                    ifExists: argv.ifDbExists,
+                    grant: db.grant && Object.assign({}, db.grant, {passwordEnv: argv.dbGrantPasswordEnv})
+                }),
+                source: source && Object.assign({}, source, {passwordEnv: argv.srcDbPasswordEnv}),
+                sql: sqlFile,
+                sqlEntry,
+                migrate: argv.migrate,
+                install: admin && Object.assign({}, admin, {passwordEnv: argv.adminPasswordEnv}),
+                sqlPrefix: argv.sqlPrefix,
+                config: overrides,
+                merge: mappings
+            });
+            spinner.succeed(`Recipe saved to ${resolve(file)}`);
+        }
+    }
+}
+
+module.exports = {
+    command: ['merge', '$0'],
+    describe: 'Check out a tag/version of limesurvey into a new directory, copy files into it, configure it '
+              + 'and create its database (default command)',
+    builder: yargs => [Options.repository, Options.version, Options.output, Options.database, Options.provision,
+                       Options.fill, Options.migrate, Options.install, Options.files, Options.overrides,
+                       Options.browse, Options.confirm]
+        .reduce((yargs, options) => options(yargs), yargs)
+        .alias('r', 'recipe')
+        .group('r', 'Recipe arguments:')
+        .describe('r', 'Recipe file (.json, .yml or .yaml) providing the tag, database settings, SQL file and '
+                       + 'merge mappings. Arguments take precedence over its values')
+        .requiresArg('r')
+        .string('r'),
+    handler: handler(merge)
+};
@@ -0,0 +1,201 @@
+'use strict';
+const Cache     = require('../lib/Cache');
+const Config    = require('../lib/Config');
+const Database  = require('../lib/Database');
+const Merge     = require('../lib/Merge');
+const Output    = require('../lib/Output');
+const Provision = require('../lib/Provision');
+
+/*
+ * Options shared by the commands, each function adding a group of them to the `yargs` of a
+ * command builder.
+ */
+
+function repository(yargs) {
+    return yargs
+        .alias('f', 'fetch')
+        .group(['repo', 'f', 'cache-dir'], 'Repository arguments:')
+        .describe('repo', 'The limesurvey repository (URL, local path or name of one of the "repositories" of '
+                          + `${Config.CONFIG_FILE})`)
+        .describe('f', 'Fetch the new tags of the cached repository')
+        .describe('cache-dir', `Location of the repository cache (default: ${Cache.DEFAULT_DIR})`)
+        .requiresArg(['repo', 'cache-dir'])
+        .boolean('f')
+        .string(['repo', 'cache-dir']);
+}
+
+function version(yargs) {
+    return yargs
+        .alias('t', 'tag')
+        .group(['t', 'tag-range', 'prereleases', 'plus-builds'], 'Version arguments:')
+        .describe('t', 'The tag/version of limesurvey to checkout (also accepts branches and commit SHAs)')
+        .describe('tag-range', 'Checkout the newest tag/version matching a semver range (e.g. "^3.15")')
+        .describe('prereleases', 'List the alpha/beta/rc versions (use --no-prereleases to hide them)')
+        .describe('plus-builds', 'List the "_plus_" builds (use --no-plus-builds to hide them)')
+        .requiresArg(['t', 'tag-range'])
+        .boolean(['prereleases', 'plus-builds'])
+        .string(['t', 'tag-range'])
+        .default({prereleases: true, 'plus-builds': true});
+}
+
+function output(yargs) {
+    return yargs
+        .group(['out', 'on-existing', 'keep-git'], 'Output arguments:')
+        .describe('out', 'The new limesurvey directory (default: ./limesurvey-<tag>)')
+        .describe('on-existing', 'What to do when the new limesurvey directory already exists: replace it, archive '
+                                 + 'it (timestamped .tar.gz) then replace it, check out into it or use another '
+                                 + 'directory (prompted by default)')
+        .describe('keep-git', 'Make the new limesurvey directory a git clone of the checked out tag/version')
+        .requiresArg(['out', 'on-existing'])
+        .boolean('keep-git')
+        .string('out')
+        .choices('on-existing', Output.ON_EXISTING);
+}
+
+function database(yargs) {
+    return yargs
+        .alias('p', 'profile')
+        .group(['p', 'db-type', 'db-host', 'db-port', 'db-name', 'db-user', 'db-password-env', 'table-prefix'],
+            'Database arguments:')
+        .describe('p', `Database profile from ${Config.CONFIG_FILE} providing the default database settings`)
+        .describe('db-type', 'Database type (selects the sample config.php, the connection string and the driver)')
+        .describe('db-host', 'Database hostname')
+        .describe('db-port', 'Database port (default: the one of the database type)')
+        .describe('db-name', 'Database name')
+        .describe('db-user', 'Database username')
+        .describe('db-password-env', 'Name of the environment variable holding the database password')
+        .describe('table-prefix', 'Database table prefix')
+        .requiresArg(['p', 'db-type', 'db-host', 'db-port', 'db-name', 'db-user', 'db-password-env', 'table-prefix'])
+        .string(['p', 'db-type', 'db-host', 'db-name', 'db-user', 'db-password-env', 'table-prefix'])
+        .number('db-port')
+        .choices('db-type', Object.keys(Database.TYPES));
+}
+
+function provision(yargs) {
+    return yargs
+        .group(['db-charset', 'db-collation', 'if-db-exists', 'db-grant-user', 'db-grant-host',
+                'db-grant-password-env'], 'Database creation arguments:')
+        .describe('db-charset', 'Charset of the created database (default: utf8mb4 for MySQL, UTF8 for PostgreSQL)')
+        .describe('db-collation', 'Collation of the created database (default: utf8mb4_unicode_ci for MySQL)')
+        .describe('if-db-exists', 'What to do when the database already exists (prompted by default)')
+        .describe('db-grant-user', 'Dedicated user to create (if needed) with every privilege on the database, '
+                                   + 'written in config.php instead of --db-user')
+        .describe('db-grant-host', 'Host the dedicated MySQL user connects from (default: %)')
+        .describe('db-grant-password-env', 'Name of the environment variable holding the dedicated user password')
+        .requiresArg(['db-charset', 'db-collation', 'if-db-exists', 'db-grant-user', 'db-grant-host',
+                      'db-grant-password-env'])
+        .string(['db-charset', 'db-collation', 'db-grant-user', 'db-grant-host', 'db-grant-password-env'])
+        .choices('if-db-exists', Provision.IF_EXISTS);
+}
+
+function fill(yargs) {
+    return yargs
+        .group(['sql', 'sql-entry', 'sql-prefix', 'src-db-host', 'src-db-port', 'src-db-name', 'src-db-user',
+                'src-db-password-env', 'src-table-prefix'], 'Import arguments:')
+        .describe('sql', 'Path to the SQL dump to execute: .sql, .sql.gz, .sql.bz2, .zip or a mysqldump --tab '
+                         + 'directory')
+        .describe('sql-entry', 'SQL file to execute in the --sql zip archive (when it holds several)')
+        .describe('sql-prefix', 'Table prefix used in the --sql dump, rewritten to --table-prefix (default: '
+                                + 'detected from its LimeSurvey tables)')
+        .describe('src-db-host', 'Hostname of the database to copy instead of executing an SQL dump (default: '
+                                 + '--db-host)')
+        .describe('src-db-port', 'Port of the database to copy (default: --db-port)')
+        .describe('src-db-name', 'Name of the database to copy (MySQL only), table by table, into the new one')
+        .describe('src-db-user', 'Username of the database to copy (default: --db-user)')
+        .describe('src-db-password-env', 'Name of the environment variable holding the password of the database to '
+                                         + 'copy (default: the --db-password-env one)')
+        .describe('src-table-prefix', 'Only copy the tables with this prefix (rewritten to --table-prefix)')
+        .requiresArg(['sql', 'sql-entry', 'sql-prefix', 'src-db-host', 'src-db-port', 'src-db-name', 'src-db-user',
+                      'src-db-password-env', 'src-table-prefix'])
+        .string(['sql', 'sql-entry', 'sql-prefix', 'src-db-host', 'src-db-name', 'src-db-user',
+                 'src-db-password-env', 'src-table-prefix'])
+        .number('src-db-port');
+}
+
+function migrate(yargs) {
+    return yargs
+        .group(['migrate', 'php'], 'LimeSurvey console arguments:')
+        .describe('migrate', 'Run the LimeSurvey database migrations (console.php updatedb) once the database is '
+                             + 'filled')
+        .describe('php', 'PHP executable running the LimeSurvey console commands (default: php)')
+        .requiresArg('php')
+        .boolean('migrate')
+        .string('php');
+}
+
+function install(yargs) {
+    return yargs
+        .group(['install', 'admin-user', 'admin-password-env', 'admin-name', 'admin-email'],
+            'LimeSurvey console arguments:')
+        .describe('install', 'Install LimeSurvey in the new (empty) database with its console installer instead of '
+                             + 'importing data')
+        .describe('admin-user', 'Username of the administrator created by --install (default: admin)')
+        .describe('admin-password-env', 'Name of the environment variable holding the password of the administrator '
+                                        + 'created by --install')
+        .describe('admin-name', 'Full name of the administrator created by --install (default: Administrator)')
+        .describe('admin-email', 'Email address of the administrator created by --install')
+        .requiresArg(['admin-user', 'admin-password-env', 'admin-name', 'admin-email'])
+        .boolean('install')
+        .string(['admin-user', 'admin-password-env', 'admin-name', 'admin-email']);
+}
+
+function files(yargs) {
+    return yargs
+        .alias('m', 'merge')
+        .group(['m', 'on-conflict', 'base-tag'], 'Merge arguments:')
+        .describe('m', 'Files to copy into the new limesurvey directory as "from:glob:to[:policy]" (repeatable)')
+        .describe('on-conflict', 'What to do with the files to copy which already exist in the new limesurvey '
+                                 + 'directory, unless their mapping has its own policy (default: "merge" with '
+                                 + '--base-tag, "overwrite" otherwise)')
+        .describe('base-tag', 'The tag/version the copied files were customized from: the files which also '
+                              + 'exist in the new limesurvey directory are merged (three-way) with it')
+        .requiresArg(['m', 'on-conflict', 'base-tag'])
+        .string('base-tag')
+        .array('m')
+        .choices('on-conflict', Merge.POLICIES);
+}
+
+function overrides(yargs) {
+    return yargs
+        .group('set', 'Config arguments:')
+        .describe('set', 'Value to set in config.php as "dotted.key=value", the value being parsed as JSON '
+                         + 'when possible (e.g. --set components.urlManager.urlFormat=path --set config.debug=2)')
+        .requiresArg('set')
+        .string('set')
+        .array('set');
+}
+
+function browse(yargs) {
+    return yargs
+        .alias('j', ['junk', 'include-junk'])
+        .alias('a', ['dots', 'include-dots'])
+        .group(['j', 'a'], 'Prompt arguments:')
+        .describe('j', 'Allow selection of junk files/folders')
+        .describe('a', 'Allow selection of folder starting with a period (.)')
+        .boolean(['j', 'a']);
+}
+
+function confirm(yargs) {
+    return yargs
+        .alias('y', 'yes')
+        .group(['y', 'dry-run', 'json'], 'Confirmation arguments:')
+        .describe('y', 'Skip the final confirmation')
+        .describe('dry-run', 'Print what would be done without touching the output directory nor the database')
+        .describe('json', 'Print the dry-run report as JSON')
+        .boolean(['y', 'dry-run', 'json']);
+}
+
+module.exports = {
+    repository,
+    version,
+    output,
+    database,
+    provision,
+    fill,
+    migrate,
+    install,
+    files,
+    overrides,
+    browse,
+    confirm
+};
@@ -0,0 +1,552 @@
+'use strict';
+const {existsSync: exists, lstatSync: stat, readdirSync: readdir} = require('fs');
+const {sep, basename, dirname, join, resolve}                     = require('path');
+const readline                                                    = require('readline');
+const prompts                                                     = require('prompts');
+const junk                                                        = require('junk');
+const ask                                                         = require('../lib/Ask');
+const Database                                                    = require('../lib/Database');
+const Dump                                                        = require('../lib/Dump');
+const Merge                                                       = require('../lib/Merge');
+const Profiles                                                    = require('../lib/Profiles');
+const Steps                                                       = require('../lib/Steps');
+const Validate                                                    = require('../lib/Validate');
+const Versions                                                    = require('../lib/Versions');
+const {formatBytes}                                               = require('../lib/Utils');
+const {spinner}                                                   = require('./Cli');
+const {MissingOptionError, InvalidOptionError, CancelledError}    = require('../lib/Errors');
+
+/*
+ * Values of the commands taken from their arguments, prompted for the missing ones.
+ */
+
+const onCancel = () => {
+    throw new CancelledError();
+};
+
+function dir(d) {
+    return (exists(d) && stat(d).isDirectory() ? d : dirname(d)).replace(/[\\/]?$/, sep);
+}
+
+/**
+ * Value of the environment variable named by the argument `option` (`name`), undefined when
+ * the argument is not given.
+ */
+function env(option, name) {
+    if (name == null)
+        return undefined;
+    if (process.env[name] === undefined)
+        throw new InvalidOptionError(option, `the environment variable ${name} is not set`);
+    return process.env[name];
+}
+
+async function toggle(message, initial = false) {
+    return (await prompts({
+        type: 'toggle',
+        name: 'value',
+        message,
+        initial,
+        active: 'yes',
+        inactive: 'no'
+    }, {onCancel})).value;
+}
+
+/**
+ * Opens the cache of the repository given by --repo (prompted among the configured ones) and
+ * resolves to {repository, cache, refs}.
+ */
+async function repository(argv, config) {
+    const repositories = Object.assign({LimeSurvey: Steps.UPSTREAM}, config.repositories);
+    if (argv.repo == null && argv.interactive && Object.keys(repositories).length > 1) {
+        argv.repo = (await prompts({
+            type: 'select',
+            name: 'repo',
+            message: 'Choose a repository',
+            choices: Object.keys(repositories).map(name => ({
+                title: `${name} (${repositories[name]})`,
+                value: name
+            }))
+        }, {onCancel})).repo;
+    }
+    const repository    = repositories[argv.repo] || argv.repo || Steps.UPSTREAM;
+    const {cache, refs} = await Steps.open({
+        repository,
+        cacheDir: argv.cacheDir || config.cacheDir,
+        fetch: argv.fetch,
+        ref: argv.tag,
+        spinner
+    });
+    return {repository, cache, refs};
+}
+
+/**
+ * Tag/version to check out given by --tag, --tag-range or the version picker, the latter two
+ * only offering the tags `accept` returns true for.
+ */
+async function tag(argv, {repository, cache, refs}, accept = () => true) {
+    const filter = {prereleases: argv.prereleases, plusBuilds: argv.plusBuilds};
+    const SHA    = {title: 'Other commit (SHA)...', value: -1};
+    let choice;
+    if (argv.tag != null)
+        choice = await Validate.ref(cache, argv.tag);
+    else if (argv.tagRange != null) {
+        choice = Validate.newest(cache, refs.tags.filter(accept), argv.tagRange, filter);
+        spinner.info(`limesurvey@${choice} is the newest version matching ${argv.tagRange}`);
+    } else {
+        choice = (await prompts({
+            type: 'autocomplete',
+            name: 'tag',
+            message: 'Choose a tag/version (type to filter)',
+            choices: Versions.choices(refs, filter).filter(({value}) => accept(value)).concat(SHA),
+            suggest: Versions.suggest,
+            limit: 15
+        }, {onCancel})).tag;
+    }
+    if (choice === SHA.value) {
+        choice = (await prompts({
+            type: 'text',
+            name: 'sha',
+            message: 'Commit SHA:',
+            validate: async sha => await cache.withLock(() => cache.has(sha))
+                                   || `${sha} is not a commit of ${repository}`
+        }, {onCancel})).sha;
+    }
+    return choice;
+}
+
+/**
+ * Settings of the database given by the --db-* arguments, the database profile and the prompts
+ * (see Steps.database()), `dbname` being the default database name. With `grant`, a dedicated
+ * user can be created along with the database.
+ */
+async function database(argv, config, {dbname, grant = false} = {}) {
+    let profile = argv.profile;
+    if (profile == null && argv.interactive && Profiles.names(config).length) {
+        profile = (await prompts({
+            type: 'select',
+            name: 'profile',
+            message: 'Choose a database profile',
+            choices: [{title: '(none)', value: null}]
+                .concat(Profiles.names(config).map(title => ({title, value: title})))
+        }, {onCancel})).profile;
+    }
+    const defaults = await Profiles.resolve(config, profile, {interactive: argv.interactive});
+    argv.profile   = profile;
+
+    const settings = await ask([
+        {
+            type: 'select',
+            name: 'type',
+            option: 'db-type',
+            message: 'Database type:',
+            choices: Object.entries(Database.TYPES).map(([value, {title}]) => ({title, value})),
+            initial: Object.keys(Database.TYPES).indexOf(defaults.type)
+        }, {
+            type: 'text',
+            name: 'host',
+            option: 'db-host',
+            message: 'Hostname:',
+            initial: defaults.host
+        }, {
+            type: 'number',
+            name: 'port',
+            option: 'db-port',
+            message: 'Port:',
+            initial: (prev, {type}) => defaults.port || Database.TYPES[type].port,
+            min: 0,
+            max: 65535
+        }, {
+            type: 'text',
+            name: 'dbname',
+            option: 'db-name',
+            message: `Database name:`,
+            initial: defaults.dbname || dbname,
+            format(val) {
+                return val.replace(/[^\w\-.]/g, '_');
+            }
+        }, {
+            type: 'text',
+            name: 'username',
+            option: 'db-user',
+            message: 'Username:',
+            initial: defaults.username
+        }, {
+            type: 'password',
+            name: 'password',
+            option: 'db-password-env',
+            message: 'Password:',
+            initial: defaults.password
+        }, {
+            type: 'text',
+            name: 'tablePrefix',
+            option: 'table-prefix',
+            message: 'Table prefix:',
+            initial: defaults.tablePrefix
+        }
+    ], {
+        preset: {
+            type: argv.dbType,
+            host: argv.dbHost,
+            port: argv.dbPort,
+            dbname: argv.dbName,
+            username: argv.dbUser,
+            password: env('db-password-env', argv.dbPasswordEnv),
+            tablePrefix: argv.tablePrefix
+        },
+        interactive: argv.interactive,
+        onCancel
+    });
+    settings.charset   = argv.dbCharset || defaults.charset;
+    settings.collation = argv.dbCollation || defaults.collation;
+
+    if (grant && argv.dbGrantUser == null)
+        grant = argv.interactive && Database.hasDriver(settings.type)
+                && await toggle('Create a dedicated database user for LimeSurvey?');
+    if (grant) {
+        settings.grant = await ask([
+            {
+                type: 'text',
+                name: 'username',
+                option: 'db-grant-user',
+                message: 'Dedicated username:'
+            }, {
+                type: 'password',
+                name: 'password',
+                option: 'db-grant-password-env',
+                message: 'Dedicated user password:'
+            }, {
+                type: settings.type === 'mysql' && 'text',
+                name: 'host',
+                option: 'db-grant-host',
+                message: 'Host the dedicated user connects from:',
+                initial: '%'
+            }
+        ], {
+            preset: {
+                username: argv.dbGrantUser,
+                password: env('db-grant-password-env', argv.dbGrantPasswordEnv),
+                host: argv.dbGrantHost
+            },
+            interactive: argv.interactive,
+            onCancel
+        });
+    }
+    return Steps.database(settings);
+}
+
+/**
+ * Settings of the database to copy into the database `db` given by the --src-db-* arguments
+ * (defaulting to the ones of `db`) and the prompts.
+ */
+async function source(argv, db) {
+    const settings = await ask([
+        {
+            type: 'text',
+            name: 'host',
+            option: 'src-db-host',
+            message: 'Source hostname:',
+            initial: db.host
+        }, {
+            type: 'number',
+            name: 'port',
+            option: 'src-db-port',
+            message: 'Source port:',
+            initial: db.port,
+            min: 0,
+            max: 65535
+        }, {
+            type: 'text',
+            name: 'dbname',
+            option: 'src-db-name',
+            message: 'Source database name:'
+        }, {
+            type: 'text',
+            name: 'username',
+            option: 'src-db-user',
+            message: 'Source username:',
+            initial: db.username
+        }, {
+            type: 'password',
+            name: 'password',
+            option: 'src-db-password-env',
+            message: 'Source password:',
+            initial: db.password
+        }, {
+            type: 'text',
+            name: 'tablePrefix',
+            option: 'src-table-prefix',
+            message: 'Only copy the tables prefixed by (empty for all):',
+            initial: ''
+        }
+    ], {
+        preset: {
+            host: argv.srcDbHost,
+            port: argv.srcDbPort,
+            dbname: argv.srcDbName,
+            username: argv.srcDbUser,
+            password: env('src-db-password-env', argv.srcDbPasswordEnv),
+            tablePrefix: argv.srcTablePrefix
+        },
+        interactive: argv.interactive,
+        onCancel
+    });
+    settings.type = db.type;
+    return settings;
+}
+
+/**
+ * Path of the SQL dump to execute browsed from the current directory, null when none is chosen.
+ */
+async function sqlFile(argv) {
+    // directories are browsed unless chosen with a trailing separator (dump directories)
+    const isChosenDump = file => Dump.isDump(file)
+                                 && (/[\\/]$/.test(file) || !stat(file).isDirectory());
+    let file = null;
+    let loop = true;
+    while (!isChosenDump(file || '') && loop) {
+        if (file) readline.moveCursor(process.stdout, 0, -1);
+        await prompts({
+            type: 'autocomplete',
+            name: 'sqlFile',
+            message: '\x1b[37mSpecify the path to the SQL file to execute\x1b[39m',
+            onRender() {
+                if (this.first) {
+                    this.input = file ? file.replace(/[\\/]?$/g, sep) : '';
+                    setTimeout(() => {
+                        this.cursor = this.input.length;
+                        this.complete(this.render);
+                    }, 10);
+                }
+            },
+            suggest() {
+                let val = resolve(this.input || './');
+                return Promise.resolve(
+                    readdir(dir(val))
+                        .map(file => join(dir(val), file))
+                        .filter(file =>
+                            exists(file)
+                            && (stat(file).isDirectory()
+                                || Dump.isDump(file))
+                            && (argv.includeJunk ||
+                                (junk.not(basename(file))
+                                 && !/^(\$|~(?![\\/]|$))/.test(basename(file))))
+                            && (argv.includeDots || !basename(file).startsWith('.'))
+                            && (resolve(dir(val)) === resolve(val)
+                                || file.toLowerCase().startsWith(val.toLowerCase())))
+                        .reduce((choices, value) => choices.concat(
+                            {title: basename(value), value},
+                            stat(value).isDirectory() && Dump.isDump(value)
+                            ? {title: `${basename(value)}${sep} (import the dump directory)`,
+                               value: value + sep}
+                            : []), []));
+            }
+        }, {
+            onCancel() {
+                file = null;
+                loop = false;
+            },
+            onSubmit(p, v) {
+                file = v;
+            }
+        });
+    }
+    return file && resolve(file);
+}
+
+/**
+ * What fills the database `db`: {sqlFile, sqlEntry, source, from} where `source` are the settings
+ * of the database to copy (see source()) and `from` the table prefix to rewrite (detected when
+ * null). Both `sqlFile` and `source` are null when the database is left `empty`, unless not allowed,
+ * and always for the database types ls-merge has no driver for.
+ */
+async function fill(argv, db, {empty = true} = {}) {
+    Validate.fill(db.type, {sql: argv.sql, source: argv.srcDbName != null, install: argv.install, empty});
+    if (!Database.hasDriver(db.type))
+        return {sqlFile: null, sqlEntry: undefined, source: null, from: null};
+    // an SQL dump, a copy of another database or nothing (null)
+    let kind = argv.srcDbName != null ? 'copy' : empty && argv.install ? null : 'dump';
+    if (argv.sql == null && kind === 'dump' && argv.interactive && Database.canCopy(db.type)) {
+        kind = (await prompts({
+            type: 'select',
+            name: 'fill',
+            message: 'Fill the new database with',
+            choices: [
+                {title: 'An SQL dump', value: 'dump'},
+                {title: 'A copy of an existing database', value: 'copy'}
+            ].concat(empty ? {title: 'Nothing', value: null} : [])
+        }, {onCancel})).fill;
+    }
+
+    const copied = kind === 'copy' ? await source(argv, db) : null;
+    let file     = null;
+    if (argv.sql != null)
+        file = Validate.dump(argv.sql);
+    else if (argv.interactive && kind === 'dump')
+        file = await sqlFile(argv);
+    if (!empty && !file && !copied)
+        throw new MissingOptionError('sql', 'or --src-db-name, nothing to import');
+
+    let entry = argv.sqlEntry;
+    if (file && /\.zip$/i.test(file) && entry == null && argv.interactive) {
+        const entries = await Dump.entries(file);
+        if (entries.length > 1) {
+            entry = (await prompts({
+                type: 'select',
+                name: 'entry',
+                message: `SQL file of ${basename(file)} to execute`,
+                choices: entries.map(({fileName, uncompressedSize}) => ({
+                    title: `${fileName} (${formatBytes(uncompressedSize)})`,
+                    value: fileName
+                }))
+            }, {onCancel})).entry;
+        }
+    }
+    return {
+        sqlFile: file,
+        sqlEntry: entry,
+        source: copied,
+        // prefix of the imported tables, detected from the LimeSurvey ones when null
+        from: argv.sqlPrefix != null ? argv.sqlPrefix : (copied && copied.tablePrefix) || null
+    };
+}
+
+/**
+ * Administrator {username, password, fullName, email} created by the LimeSurvey installer.
+ */
+async function admin(argv) {
+    return ask([
+        {
+            type: 'text',
+            name: 'username',
+            option: 'admin-user',
+            message: 'Administrator username:',
+            initial: 'admin'
+        }, {
+            type: 'password',
+            name: 'password',
+            option: 'admin-password-env',
+            message: 'Administrator password:',
+            validate: value => !!value || 'The password cannot be empty'
+        }, {
+            type: 'text',
+            name: 'fullName',
+            option: 'admin-name',
+            message: 'Administrator full name:',
+            initial: 'Administrator'
+        }, {
+            type: 'text',
+            name: 'email',
+            option: 'admin-email',
+            message: 'Administrator email address:',
+            validate: value => /^\S+@\S+$/.test(value) || 'Not an email address'
+        }
+    ], {
+        preset: {
+            username: argv.adminUser,
+            password: env('admin-password-env', argv.adminPasswordEnv),
+            fullName: argv.adminName,
+            email: argv.adminEmail
+        },
+        interactive: argv.interactive,
+        onCancel
+    });
+}
+
+/**
+ * Mappings of the files to copy into the limesurvey directory, browsed from the current
+ * directory and the worktree of the tag/version `ref` of `cache`.
+ */
+async function mappings(argv, {cache, ref}) {
+    const tmp        = await cache.withLock(() => cache.worktree(ref));
+    const mappings   = [];
+    let loop         = true;
+    let cancelled    = false;
+    const onKeypress = (rel = '') => function onKeypress(str, key) {
+        const getTo = p => join(rel, p);
+        if (key.name === 'return') {
+            if (exists(getTo(this.input))
+                && stat(getTo(this.input)).isDirectory())
+                this.input = join(this.input, this.suggestions[this.select].value);
+            else this.input = join(dir(this.input),
+                (this.suggestions[this.select] || {}).value || '');
+            if (stat(getTo(this.input)).isDirectory()) this.input += sep;
+            this.cursor = this.input.length;
+            this.complete(this.render);
+            this.render();
+        } else if (key.name === 'enter') {
+            this.done        = true;
+            this.value       = this.input;
+            this.suggestions = [];
+            this.select      = undefined;
+            this.render();
+            this.out.write('\n');
+            this.close();
+        }
+        return !['return', 'enter'].includes(key.name);
+    };
+    const suggest    = (rel = '') => function suggest() {
+        const getTo = p => join(rel, p);
+        let val     = this.input || '';
+        return Promise.resolve(
+            readdir(dir(getTo(val)))
+                .filter(file => {
+                    let fullPath = join(dir(getTo(val)), file);
+                    return exists(fullPath)
+                           && stat(fullPath).isDirectory()
+                           && (argv.includeJunk ||
+                               (junk.not(file)
+                                && !/^(\$|~(?![\\/]|$))/.test(file)))
+                           && (argv.includeDots || !file.startsWith('.'))
+                           && (resolve(dir(val)) === resolve(val)
+                               || fullPath.toLowerCase()
+                                   .startsWith(getTo(val)
+                                       .toLowerCase()));
+                })
+                .map(value => ({title: basename(value), value})));
+    };
+    while (loop) {
+        let obj = await prompts([
+            {
+                type: 'toggle',
+                name: 'added',
+                message: 'Add files or folders into the new limesurvey directory?',
+                initial: false,
+                active: 'Yes',
+                inactive: 'No',
+                onState({value, aborted}) {
+                    loop      = value && !aborted;
+                    cancelled = aborted;
+                }
+            }, {
+                type: prev => prev && 'autocomplete',
+                name: 'dirFrom',
+                message: 'Specify the parent directory containing the files you want to copy',
+                onKeypress: onKeypress,
+                suggest: suggest() // FIXME <<<<<<
+            }, {
+                type: prev => prev && 'text',
+                name: 'globFrom',
+                message: 'Specify the glob to filter the files/folder to copy',
+                initial: '**/*'
+            }, {
+                type: prev => prev && 'autocomplete',
+                name: 'to',
+                message: 'Specify the path where you want to place your new files',
+                onKeypress: onKeypress(tmp),
+                suggest: suggest(tmp)
+            }, {
+                type: prev => prev && 'select',
+                name: 'policy',
+                message: 'What to do with the files which already exist?',
+                choices: Merge.POLICIES.map(value => ({title: value, value})),
+                initial: Merge.POLICIES.indexOf(argv.onConflict)
+            }
+        ]);
+        if (cancelled)
+            throw new CancelledError();
+        if (obj.to) mappings.push(obj);
+    }
+    return mappings;
+}
+
+module.exports = {env, toggle, repository, tag, database, source, sqlFile, fill, admin, mappings};
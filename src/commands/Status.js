@@ -0,0 +1,115 @@
+'use strict';
+const {promises: fsp, existsSync: exists} = require('fs');
+const {join, resolve}                     = require('path');
+const chalk                               = require('chalk');
+const ConfigFile                          = require('../lib/ConfigFile');
+const Database                            = require('../lib/Database');
+const Journal                             = require('../lib/Journal');
+const PhpArray                            = require('../lib/PhpArray');
+const Steps                               = require('../lib/Steps');
+const Upgrade                             = require('../lib/Upgrade');
+const {handler}                           = require('./Cli');
+const {LsMergeError, PhpSyntaxError}      = require('../lib/Errors');
+
+/**
+ * Database settings written in the config.php of `dir`, null when there is none.
+ */
+async function configured(dir) {
+    const file = join(dir, ConfigFile.CONFIG);
+    if (!exists(file))
+        return null;
+    const source = await fsp.readFile(file, 'utf8');
+    const dsn    = Database.parseDsn(PhpArray.get(source, 'components.db.connectionString'));
+    return dsn && Object.assign(dsn, {
+        username: PhpArray.get(source, 'components.db.username'),
+        password: PhpArray.get(source, 'components.db.password'),
+        tablePrefix: PhpArray.get(source, 'components.db.tablePrefix') || ''
+    });
+}
+
+/**
+ * State of the database of `db`: {exists, version} (version being null when LimeSurvey is not
+ * installed in it) or {error} when it cannot be reached.
+ */
+async function inspect(db) {
+    if (!Database.hasDriver(db.type))
+        return {error: `${Database.TYPES[db.type].title} databases cannot be inspected by ls-merge`};
+    try {
+        const connection = await Steps.connect(db);
+        try {
+            if (!(await connection.exists(db.dbname)))
+                return {exists: false, version: null};
+            await connection.use(db.dbname);
+            return {exists: true, version: await connection.dbVersion(db.tablePrefix)};
+        } finally {
+            await connection.end();
+        }
+    } catch (err) {
+        return {error: err.message};
+    }
+}
+
+function format(status) {
+    const {dir, installed, db, state, backup} = status;
+    const lines = [`${chalk.bold('Directory:')}  ${dir}`];
+    lines.push(installed
+               ? `${chalk.bold('LimeSurvey:')} ${installed.versionnumber}+${installed.buildnumber} (database `
+                 + `version ${installed.dbversionnumber})`
+               : `${chalk.bold('LimeSurvey:')} ${chalk.yellow('not a LimeSurvey installation')}`);
+    if (!db)
+        lines.push(`${chalk.bold('Database:')}   `
+                   + (state ? chalk.red(state.error) : chalk.yellow(`none configured in ${ConfigFile.CONFIG}`)));
+    else {
+        lines.push(`${chalk.bold('Database:')}   ${Database.TYPES[db.type].title} database ${db.dbname} on `
+                   + `${db.username}@${db.host}:${db.port} (prefix "${db.tablePrefix}")`);
+        if (state.error)
+            lines.push(chalk.red(`    ${state.error}`));
+        else if (!state.exists)
+            lines.push(chalk.yellow('    does not exist (see the db create command)'));
+        else if (state.version == null)
+            lines.push(chalk.yellow('    LimeSurvey is not installed in it (see the db import command)'));
+        else if (installed && state.version < installed.dbversionnumber)
+            lines.push(chalk.yellow(`    version ${state.version}, the migrations to version `
+                                    + `${installed.dbversionnumber} are pending (see --migrate)`));
+        else
+            lines.push(`    version ${state.version}, up to date`);
+    }
+    if (backup)
+        lines.push(chalk.yellow(`${backup} was left by an interrupted run, it holds the previous ${dir}`));
+    return lines.join('\n');
+}
+
+async function status(argv) {
+    const dir       = resolve(argv.dir);
+    const installed = await Upgrade.installed(dir).catch(err => {
+        if (err instanceof LsMergeError)
+            return null;
+        throw err;
+    });
+    let db = null, state = null;
+    try {
+        db    = await configured(dir);
+        state = db && await inspect(db);
+    } catch (err) {
+        if (!(err instanceof PhpSyntaxError))
+            throw err;
+        state = {error: `${ConfigFile.CONFIG} cannot be read: ${err.message}`};
+    }
+    const backup = exists(Journal.backupPath(dir)) ? Journal.backupPath(dir) : null;
+    if (argv.json)
+        console.log(JSON.stringify({dir, installed, db: db && Object.assign({}, db, {password: undefined}), state,
+                                    backup}, null, 2));
+    else
+        console.log(format({dir, installed, db, state, backup}));
+}
+
+module.exports = {
+    command: 'status [dir]',
+    describe: 'Show the LimeSurvey version installed in a limesurvey directory, the state of its database and '
+              + 'what a failed run left behind',
+    builder: yargs => yargs
+        .positional('dir', {describe: 'The limesurvey directory', type: 'string', default: '.'})
+        .describe('json', 'Print the status as JSON')
+        .boolean('json'),
+    handler: handler(status)
+};
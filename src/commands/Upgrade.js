@@ -0,0 +1,135 @@
+'use strict';
+const {resolve}                                                = require('path');
+const prompts                                                  = require('prompts');
+const chalk                                                    = require('chalk');
+const ask                                                      = require('../lib/Ask');
+const Console                                                  = require('../lib/Console');
+const Mappings                                                 = require('../lib/Mappings');
+const Merge                                                    = require('../lib/Merge');
+const Plan                                                     = require('../lib/Plan');
+const Steps                                                    = require('../lib/Steps');
+const Upgrade                                                  = require('../lib/Upgrade');
+const Validate                                                 = require('../lib/Validate');
+const Options                                                  = require('./Options');
+const Questions                                                = require('./Questions');
+const {spinner, interruptible, handler, printOutput}           = require('./Cli');
+const {MissingOptionError, InvalidOptionError, CancelledError} = require('../lib/Errors');
+
+/**
+ * Upgrades the LimeSurvey installed in `argv.dir` in place: it is moved aside (restored by a
+ * rollback), the new version checked out, the preserved paths copied back then the merge
+ * mappings applied (merged three-way with the installed version by default).
+ */
+async function upgrade(argv, {config, journal}) {
+    const dir     = resolve(argv.dir);
+    const current = await Upgrade.installed(dir);
+    spinner.info(`LimeSurvey ${current.versionnumber}+${current.buildnumber} (database version `
+                 + `${current.dbversionnumber}) is installed in ${dir}`);
+    if (argv.tag == null && argv.tagRange == null && !argv.interactive)
+        throw new MissingOptionError('tag', ask.NON_INTERACTIVE);
+
+    const {repository, cache, refs} = await Questions.repository(argv, config);
+    if (argv.baseTag != null)
+        await Validate.ref(cache, argv.baseTag, 'base-tag');
+    const base = argv.baseTag != null ? argv.baseTag : Upgrade.tagOf(refs.tags, current);
+    if (base == null)
+        spinner.warn(`No tag of ${repository} matches the installed version, use --base-tag to merge the `
+                     + 'mapped files with it');
+    const choice = await Questions.tag(argv, {repository, cache, refs}, tag => Upgrade.isNewer(tag, current));
+    if (!Upgrade.isNewer(choice, current))
+        throw new InvalidOptionError(argv.tag != null ? 'tag' : 'tag-range', `${choice} is not newer than the `
+                                                                             + `installed ${current.versionnumber}`);
+
+    const commit    = await cache.withLock(() => cache.commit(choice));
+    const preserved = Upgrade.preserved(dir, await cache.withLock(() => cache.files(commit)));
+    const replaced  = Upgrade.replaced(dir, preserved);
+    const mappings  = (argv.merge || []).map(Mappings.check);
+    const policy    = Validate.policy(argv.onConflict, base);
+    const migrate   = argv.migrate !== false && Console.commandLine('updatedb', [], {php: argv.php});
+
+    if (argv.dryRun) {
+        const plan = {
+            repository,
+            dir,
+            from: {version: current.versionnumber, build: current.buildnumber, tag: base},
+            ref: choice,
+            commit,
+            preserved,
+            replaced,
+            files: await Merge.plan(mappings, dir, {dots: argv.includeDots, policy}),
+            migrate: migrate ? migrate.join(' ') : null
+        };
+        console.log(argv.json ? JSON.stringify(plan, null, 2) : Plan.formatUpgrade(plan));
+        return;
+    }
+    if (!argv.yes && !argv.interactive)
+        throw new MissingOptionError('yes', 'the confirmation cannot be prompted with --no-interactive');
+    if (!argv.yes && !(await prompts({
+        type: 'toggle',
+        name: 'confirm',
+        message: `Please confirm you want to upgrade ${dir} from ${current.versionnumber} to limesurvey@${choice}`,
+        initial: false,
+        active: 'Confirm',
+        inactive: 'Cancel'
+    }, {onCancel() { throw new CancelledError(); }})).confirm)
+        throw new CancelledError();
+
+    console.log();
+    console.log(chalk.bold.cyan('------------- UPGRADING -------------'));
+    await interruptible(journal, async abort => {
+        spinner.start(`Moving ${dir} aside`);
+        const staged = await journal.stage(dir);
+        spinner.succeed(`Installation moved to ${staged} (deleted once done)!`);
+        await cache.withLock(async () => {
+            abort.check();
+            spinner.start(`Checking out limesurvey@${choice} into ${dir}`);
+            await cache.export(choice, dir, {keepGit: argv.keepGit, abort});
+            spinner.succeed(`limesurvey@${choice} checked out!`);
+        });
+        abort.check();
+        spinner.start('Restoring the preserved paths');
+        await Upgrade.restore(staged, dir, preserved);
+        spinner.succeed(`${preserved.length} path(s) preserved:\n` + preserved.map(path => `\t${path}`).join('\n'));
+        spinner.info(`${replaced.length} path(s) replaced by limesurvey@${choice}:\n`
+                     + replaced.map(path => `\t${path}`).join('\n'));
+
+        if (mappings.length)
+            await Steps.copy(mappings, dir, {
+                policy,
+                dots: argv.includeDots,
+                interactive: argv.interactive,
+                cache,
+                base,
+                spinner,
+                abort
+            });
+
+        if (migrate) {
+            abort.check();
+            // version.php of the new version holds the database version updatedb migrates to
+            const {dbversionnumber: version} = await Upgrade.installed(dir);
+            journal.record('The database migrations run by updatedb cannot be undone');
+            spinner.start(`Running the database migrations (version ${current.dbversionnumber} to ${version})`);
+            const output = await Console.run(dir, 'updatedb', [], {php: argv.php, abort});
+            spinner.succeed(version === current.dbversionnumber
+                            ? `Database already up to date (version ${version})`
+                            : `Database migrated from version ${current.dbversionnumber} to ${version}!`);
+            printOutput(output);
+        }
+    });
+    console.log(chalk.hex('#00FF00').bold('Done!'));
+}
+
+module.exports = {
+    command: 'upgrade <dir>',
+    describe: 'Upgrade the LimeSurvey installed in <dir> in place: its config.php, upload/, plugins/ and custom '
+              + 'themes are preserved, the merge mappings applied and the database updated',
+    builder: yargs => [Options.repository, Options.version, Options.files, Options.migrate, Options.browse,
+                       Options.confirm]
+        .reduce((yargs, options) => options(yargs), yargs)
+        .positional('dir', {describe: 'The limesurvey directory to upgrade', type: 'string'})
+        .describe('keep-git', 'Make the upgraded limesurvey directory a git clone of the checked out tag/version')
+        .describe('migrate', 'Run the LimeSurvey database migrations (use --no-migrate to skip them)')
+        .boolean('keep-git'),
+    handler: handler(upgrade)
+};
@@ -0,0 +1,48 @@
+'use strict';
+const {CancelledError} = require('./Errors');
+
+/**
+ * Stops a run when it is interrupted: the steps check() it between their actions and the child
+ * processes given to kill() are killed, so that nothing writes anymore once the run settles.
+ */
+class Abort {
+    constructor() {
+        this.aborted  = false;
+        this.handlers = new Set();
+    }
+
+    abort() {
+        if (this.aborted)
+            return;
+        this.aborted = true;
+        for (const handler of this.handlers)
+            handler();
+        this.handlers.clear();
+    }
+
+    /**
+     * Throws a CancelledError once aborted.
+     */
+    check() {
+        if (this.aborted)
+            throw new CancelledError();
+    }
+
+    /**
+     * Kills the child process `child` (see execa) when aborted while it runs, and returns it.
+     */
+    kill(child) {
+        const handler = () => child.kill();
+        if (this.aborted)
+            handler();
+        else {
+            const remove = () => this.handlers.delete(handler);
+            this.handlers.add(handler);
+            child.then(remove, remove);
+        }
+        return child;
+    }
+}
+
+module.exports       = () => new Abort();
+module.exports.Abort = Abort;
@@ -0,0 +1,58 @@
+'use strict';
+const {MissingOptionError} = require('./Errors');
+const prompts              = require('prompts');
+
+const NON_INTERACTIVE = 'no prompt can be shown with --no-interactive';
+// function-valued fields of a question which prompts() does not call beforehand
+const CALLBACKS       = ['suggest', 'format', 'onState', 'validate', 'onRender', 'onKeypress'];
+
+/**
+ * Same as `prompts(questions)` except that answers found in `preset` (keyed by question name) are
+ * used as is instead of being prompted. When `interactive` is false, questions without preset
+ * value fall back to their `initial` value (computed from the previous answers when it is a
+ * function, the chosen value for selects) or fail with a `MissingOptionError` naming the
+ * question's `option` (the CLI flag which provides it).
+ */
+async function ask(questions, {preset = {}, interactive = true, onCancel = () => {}} = {}) {
+    const answers = {};
+    let previous;
+    for (const question of [].concat(questions)) {
+        const {name, option} = question;
+        let value            = preset[name];
+
+        if (value === undefined && !interactive) {
+            value = typeof question.initial === 'function'
+                    ? await question.initial(previous, answers)
+                    : question.initial;
+            if (question.type === 'select' && typeof value === 'number')
+                value = (question.choices[value] || {}).value;
+            if (value === undefined)
+                throw new MissingOptionError(option || name, NON_INTERACTIVE);
+        }
+
+        if (value !== undefined) {
+            previous = answers[name] = question.format ? await question.format(value, answers) : value;
+            continue;
+        }
+
+        // prompts() asks the questions one by one: it would call the other functions without answers
+        const resolved = {};
+        for (const [key, field] of Object.entries(question))
+            resolved[key] = typeof field === 'function' && !CALLBACKS.includes(key)
+                            ? await field(previous, Object.assign({}, answers), question)
+                            : field;
+        let cancelled = false;
+        Object.assign(answers, await prompts(resolved, {
+            onCancel(...args) {
+                cancelled = true;
+                return onCancel(...args);
+            }
+        }));
+        if (cancelled) break;
+        previous = answers[name];
+    }
+    return answers;
+}
+
+module.exports                 = ask;
+module.exports.NON_INTERACTIVE = NON_INTERACTIVE;
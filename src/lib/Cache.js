@@ -0,0 +1,268 @@
+'use strict';
+const {promises: fsp, existsSync: exists} = require('fs');
+const {mkdirp, remove: rmdir}             = require('fs-extra');
+const {join, resolve}                     = require('path');
+const {homedir}                           = require('os');
+const {createHash}                        = require('crypto');
+const Abort                               = require('./Abort');
+const Lock                                = require('./Lock');
+const {GitError}                          = require('./Errors');
+const chalk                               = require('chalk');
+const execa                               = require('execa');
+const tar                                 = require('tar');
+
+const DEFAULT_DIR = process.env.LS_MERGE_CACHE_DIR
+                    || join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'ls-merge');
+
+const safeName = ref => ref.replace(/[^\w.-]/g, '_');
+
+// Local repositories are identified by their absolute path, remote ones by their URL
+const normalize = repository => exists(repository) ? resolve(repository) : repository;
+
+/**
+ * Key of the cache of a repository, readable and unique (`LimeSurvey-1a2b3c4d`).
+ */
+function key(repository) {
+    const name = repository.replace(/[\\/]+$/, '').replace(/\.git$/, '').split(/[\\/:]/).pop();
+    return `${safeName(name) || 'repository'}-${createHash('sha1').update(repository).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Bare mirror of a repository shared by every run, with one worktree per browsed tag so that
+ * concurrent runs never switch the files used by each other. Each repository has its own
+ * directory (and lock) in the cache. Operations touching the mirror must be done through
+ * `withLock()`.
+ */
+class Cache {
+    constructor({dir, repository, spinner}) {
+        this.root       = dir || DEFAULT_DIR;
+        this.repository = normalize(repository);
+        this.spinner    = spinner;
+        this.dir        = join(this.root, key(this.repository));
+        this.mirror     = join(this.dir, 'mirror.git');
+        this.worktrees  = join(this.dir, 'worktrees');
+        this.lockFile   = join(this.dir, 'ls-merge.lock');
+    }
+
+    /**
+     * Child process (see execa) running git with `args` in `cwd`, killed when `abort` is.
+     */
+    spawn(args, cwd = this.mirror, options = {}, abort = Abort()) {
+        return abort.kill(execa('git', args, Object.assign({cwd}, options)));
+    }
+
+    /**
+     * Runs git with `args` in `cwd`, rejecting its failure as a GitError.
+     */
+    git(args, cwd = this.mirror, options = {}, abort = Abort()) {
+        return this.spawn(args, cwd, options, abort).catch(err => {
+            throw new GitError(args, err);
+        });
+    }
+
+    async withLock(action) {
+        let waited    = false;
+        const release = await Lock.acquire(this.lockFile, {
+            onWait: pid => {
+                waited = true;
+                this.spinner.start(`Waiting for the ls-merge run ${pid} to release the cache`);
+            }
+        });
+        if (waited)
+            this.spinner.succeed('Cache released!');
+        try {
+            return await action();
+        } finally {
+            release();
+        }
+    }
+
+    async isValid() {
+        if (!exists(this.mirror))
+            return false;
+        try {
+            return (await this.git(['rev-parse', '--is-bare-repository'])).stdout.trim() === 'true'
+                   && !!(await this.git(['rev-parse', '--verify', '-q', 'HEAD^{commit}'])).stdout;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    async open() {
+        if (await this.isValid())
+            return this;
+        if (exists(this.mirror)) {
+            this.spinner.warn(`The cached repository ${this.mirror} is corrupted, cloning it again`);
+            await rmdir(this.mirror);
+            await rmdir(this.worktrees);
+        }
+        this.spinner.info(chalk.bold('Target repository: ' + this.repository));
+        this.spinner.start(`Cloning git repository (${this.repository})`);
+        try {
+            await mkdirp(this.dir);
+            await this.git(['clone', '--mirror', this.repository, this.mirror], this.dir);
+        } catch (err) {
+            this.spinner.fail('The git repository could not be cloned!');
+            throw err;
+        }
+        this.spinner.succeed('Git repository cloned!');
+        return this;
+    }
+
+    async fetch() {
+        this.spinner.start(`Fetching new tags from ${this.repository}`);
+        await this.git(['fetch', '--prune', '--tags', 'origin']);
+        this.spinner.succeed('Tags fetched!');
+    }
+
+    async branches() {
+        const branches = (await this.git(['for-each-ref', '--format=%(refname:short)', 'refs/heads']))
+            .stdout.split('\n').filter(Boolean);
+        return ['master', 'dev'].filter(b => branches.includes(b))
+            .concat(branches.filter(b => !['master', 'dev'].includes(b)));
+    }
+
+    async tags() {
+        return (await this.git(['tag', '-l', '--sort=-version:refname'])).stdout.split('\n').filter(Boolean);
+    }
+
+    /**
+     * Creation dates (YYYY-MM-DD) of the tags and branches, by name.
+     */
+    async dates() {
+        return (await this.git(['for-each-ref', '--format=%(refname:short)%09%(creatordate:short)',
+                                'refs/tags', 'refs/heads']))
+            .stdout.split('\n').filter(Boolean)
+            .reduce((dates, line) => {
+                const [ref, date] = line.split('\t');
+                dates[ref]        = date;
+                return dates;
+            }, {});
+    }
+
+    async refs() {
+        return (await this.branches()).concat(await this.tags());
+    }
+
+    async commit(ref) {
+        return (await this.git(['rev-parse', '--verify', `${ref}^{commit}`])).stdout.trim();
+    }
+
+    /**
+     * Whether `ref` (a branch, a tag or a commit SHA) exists in the mirror.
+     */
+    async has(ref) {
+        try {
+            return !!(await this.commit(ref));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Content of the file `path` at `ref`, null when it does not exist.
+     */
+    async read(ref, path) {
+        try {
+            return (await this.git(['show', `${ref}:${path}`], this.mirror, {stripEof: false})).stdout;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Paths of every file at `ref`.
+     */
+    async files(ref) {
+        return (await this.git(['ls-tree', '-r', '-z', '--name-only', ref])).stdout.split('\0').filter(Boolean);
+    }
+
+    /**
+     * Path of a worktree checked out at `ref`, created (or repaired) if needed.
+     */
+    async worktree(ref) {
+        const path   = join(this.worktrees, safeName(ref));
+        const commit = await this.commit(ref);
+        if (exists(path)) {
+            try {
+                if ((await this.git(['rev-parse', 'HEAD'], path)).stdout.trim() !== commit)
+                    await this.git(['checkout', '--force', '--detach', commit], path);
+                return path;
+            } catch (err) {
+                await rmdir(path);
+            }
+        }
+        await this.git(['worktree', 'prune']);
+        await this.git(['worktree', 'add', '--force', '--detach', path, commit]);
+        return path;
+    }
+
+    /**
+     * Writes the files of `ref` into `dest` without touching the mirror. With `keepGit`, `dest` is
+     * a standalone clone (detached at `ref`) instead of a plain export. The git commands are
+     * killed when `abort` is.
+     */
+    async export(ref, dest, {keepGit = false, abort = Abort()} = {}) {
+        const commit = await this.commit(ref);
+        if (keepGit) {
+            await this.git(['clone', '--quiet', '--no-checkout', this.mirror, dest], this.dir, {}, abort);
+            await this.git(['remote', 'set-url', 'origin', this.repository], dest, {}, abort);
+            await this.git(['checkout', '--quiet', '--detach', commit], dest, {}, abort);
+            return;
+        }
+
+        await mkdirp(dest);
+        // the tar stream is only piped: buffering it would exceed the maxBuffer of execa
+        const archive = this.spawn(['archive', '--format=tar', commit], this.mirror, {buffer: false}, abort);
+        const extraction = new Promise((res, reject) => archive.stdout
+            .pipe(tar.x({cwd: dest}))
+            .on('error', reject)
+            .on('finish', res));
+        // both are settled before failing, nothing being written into `dest` anymore
+        const [failed, error] = await Promise.all([archive, extraction].map(promise => promise.then(() => null,
+                                                                                                   err => err)));
+        if (failed)
+            throw new GitError(['archive'], failed);
+        if (error)
+            throw error;
+    }
+
+    async clean() {
+        if (!exists(this.dir))
+            return;
+        await this.withLock(async () => {
+            await rmdir(this.mirror);
+            await rmdir(this.worktrees);
+        });
+        await rmdir(this.dir);
+    }
+
+    /**
+     * Deletes the caches of every repository found in `dir`.
+     */
+    static async cleanAll({dir, spinner}) {
+        const root = dir || DEFAULT_DIR;
+        if (!exists(root))
+            return;
+        for (const name of await fsp.readdir(root)) {
+            const home = join(root, name);
+            if (!(await fsp.stat(home)).isDirectory())
+                continue;
+            const release = await Lock.acquire(join(home, 'ls-merge.lock'), {
+                onWait: pid => spinner.start(`Waiting for the ls-merge run ${pid} to release the cache`)
+            });
+            try {
+                await rmdir(join(home, 'mirror.git'));
+                await rmdir(join(home, 'worktrees'));
+            } finally {
+                release();
+            }
+        }
+        await rmdir(root);
+    }
+}
+
+module.exports             = (...opts) => new Cache(...opts);
+module.exports.Cache       = Cache;
+module.exports.DEFAULT_DIR = DEFAULT_DIR;
+module.exports.key         = key;
@@ -0,0 +1,33 @@
+'use strict';
+const {promises: fsp, existsSync: exists} = require('fs');
+const {join}                              = require('path');
+const {homedir}                           = require('os');
+const {LsMergeError}                      = require('./Errors');
+
+const CONFIG_DIR  = process.env.LS_MERGE_CONFIG_DIR
+                    || join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'ls-merge');
+const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
+
+async function readJSON(file, fallback) {
+    if (!exists(file))
+        return fallback;
+    try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (err) {
+        throw new LsMergeError(`Could not read ${file}: ${err.message}`);
+    }
+}
+
+async function writeJSON(file, data) {
+    await fsp.mkdir(CONFIG_DIR, {recursive: true});
+    await fsp.writeFile(file, JSON.stringify(data, null, 4) + '\n', {mode: 0o600});
+}
+
+module.exports = {
+    CONFIG_DIR,
+    CONFIG_FILE,
+    readJSON,
+    writeJSON,
+    load: () => readJSON(CONFIG_FILE, {}),
+    save: config => writeJSON(CONFIG_FILE, config)
+};
@@ -0,0 +1,64 @@
+'use strict';
+const {InvalidOptionError} = require('./Errors');
+const PhpArray             = require('./PhpArray');
+
+const CONFIG = 'application/config/config.php';
+
+/**
+ * Sample config.php shipped for the database `type` (mysql, pgsql, sqlsrv, dblib).
+ */
+const sample = type => `application/config/config-sample-${type}.php`;
+
+/**
+ * Dotted config.php keys of the database `settings`, LimeSurvey connecting with the dedicated
+ * user `settings.grant` when there is one.
+ */
+function database(settings) {
+    const user = settings.grant || settings;
+    return {
+        'components.db.connectionString': settings.connectionString,
+        'components.db.username': user.username,
+        'components.db.password': user.password,
+        'components.db.charset': settings.type === 'mysql' ? settings.charset : undefined,
+        'components.db.tablePrefix': settings.tablePrefix
+    };
+}
+
+/**
+ * Parses a `--set key=value` override, the value being read as JSON when possible (numbers,
+ * booleans, null, arrays...) and as a plain string otherwise.
+ */
+function override(spec) {
+    const match = /^([^=\s]+)=([\s\S]*)$/.exec(String(spec));
+    if (!match)
+        throw new InvalidOptionError('set', `"${spec}" does not match the format key=value`);
+    let value;
+    try {
+        value = JSON.parse(match[2]);
+    } catch (err) {
+        value = match[2];
+    }
+    return {[match[1]]: value};
+}
+
+/**
+ * Dotted keys of the leaves of nested objects ({a: {b: 1}} => {"a.b": 1}), arrays being leaves.
+ */
+function flatten(values, prefix = '') {
+    return Object.entries(values || {}).reduce((flat, [key, value]) =>
+        Object.assign(flat, value !== null && typeof value === 'object' && !Array.isArray(value)
+                            ? flatten(value, `${prefix}${key}.`)
+                            : {[prefix + key]: value}), {});
+}
+
+/**
+ * Sets the dotted keys of `values` (e.g. {"config.debug": 2}) in the content of a config.php,
+ * leaving the rest of the file (formatting, comments) untouched.
+ */
+function apply(content, values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined)
+        .reduce((content, [key, value]) => PhpArray.set(content, key, value), content);
+}
+
+module.exports = {CONFIG, sample, database, override, flatten, apply};
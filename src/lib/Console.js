@@ -0,0 +1,33 @@
+'use strict';
+const {LsMergeError} = require('./Errors');
+const Abort          = require('./Abort');
+const execa          = require('execa');
+
+// LimeSurvey command line entry point, relative to the limesurvey directory
+const CONSOLE = 'application/commands/console.php';
+
+/**
+ * Command line running the LimeSurvey console `command` with the PHP executable `php`.
+ */
+function commandLine(command, params = [], {php = 'php'} = {}) {
+    return [php, CONSOLE, command].concat(params);
+}
+
+/**
+ * Runs the LimeSurvey console `command` in the limesurvey directory `dir` and resolves to its
+ * output (stdout and stderr). The command is killed when `abort` is.
+ */
+async function run(dir, command, params = [], {php = 'php', abort = Abort()} = {}) {
+    const [file, ...args]                = commandLine(command, params, {php});
+    const {code, stdout, stderr, failed} = await abort.kill(execa(file, args, {cwd: dir, reject: false}));
+    const output                         = [stdout, stderr].filter(Boolean).join('\n');
+    abort.check();
+    if (code === 'ENOENT')
+        throw new LsMergeError(`PHP executable "${php}" not found (see --php)`);
+    if (failed)
+        throw new LsMergeError(`The LimeSurvey console command "${command}" failed (exit code ${code})`
+                               + (output ? `:\n${output}` : ''));
+    return output;
+}
+
+module.exports = {CONSOLE, commandLine, run};
@@ -0,0 +1,315 @@
+'use strict';
+const {LsMergeError, InvalidOptionError, DatabaseError} = require('./Errors');
+const mysql                                             = require('mysql');
+const pg                                                = require('pg');
+const _                                                 = require('lodash');
+
+/**
+ * Database types supported by LimeSurvey: default port and charset, PDO connection string and
+ * driver used to create the database (none for SQL Server, whose database must already exist).
+ */
+const TYPES = {
+    mysql: {
+        title: 'MySQL / MariaDB',
+        port: 3306,
+        charset: 'utf8mb4',
+        collation: 'utf8mb4_unicode_ci',
+        dsn: ({host, port, dbname}) => `mysql:host=${host};port=${port};dbname=${dbname};`,
+        driver: 'mysql'
+    },
+    pgsql: {
+        title: 'PostgreSQL',
+        port: 5432,
+        charset: 'UTF8',
+        dsn: ({host, port, dbname}) => `pgsql:host=${host};port=${port};dbname=${dbname};`,
+        driver: 'pgsql'
+    },
+    sqlsrv: {
+        title: 'Microsoft SQL Server (sqlsrv)',
+        port: 1433,
+        dsn: ({host, port, dbname}) => `sqlsrv:Server=${host},${port};Database=${dbname};`
+    },
+    dblib: {
+        title: 'Microsoft SQL Server (dblib)',
+        port: 1433,
+        dsn: ({host, port, dbname}) => `dblib:host=${host}:${port};dbname=${dbname}`
+    }
+};
+
+/*
+ * Drivers connect to the server (not to a database) and implement:
+ *  - connect() / end()
+ *  - query(sql, values): resolves to the rows of the result
+ *  - exists(name), create(name, options), drop(name): database existence check, creation, removal
+ *  - grant(name, options): creates the user `options.grant` (unless it exists) with every
+ *    privilege on the database `name`
+ *  - use(name): runs the next queries in the database `name`
+ *  - dbVersion(prefix): the `dbversionnumber` of the LimeSurvey installed in the current database
+ *    with the table prefix `prefix`, null when it is not installed
+ *  - load(file, table), optional: loads a data file of mysqldump --tab
+ *  - copy(prefix), optional: parts (see Dump.parts()) recreating the tables of the current
+ *    database, `statements()` yielding their SQL instead of `open()` a dump
+ *  - static statements(name, {charset, collation, grant}): the SQL run by the methods above,
+ *    shown by --dry-run
+ */
+
+const keyword = (option, value) => {
+    if (value != null && !/^\w+$/.test(value))
+        throw new InvalidOptionError(option, `"${value}" is not a valid name`);
+    return value;
+};
+
+// failures of the database clients, kept as the cause of a DatabaseError
+const rethrow = err => {
+    throw new DatabaseError(err);
+};
+
+// settings of the session the copied tables are created in (see MysqlDriver.copy()), as mysqldump does
+const COPY_SESSION = ['SET NAMES utf8mb4', 'SET FOREIGN_KEY_CHECKS = 0', "SET SQL_MODE = 'NO_AUTO_VALUE_ON_ZERO'"];
+
+class MysqlDriver {
+    constructor({host, port, username, password}) {
+        // dates, big numbers and binary values are read as is to be copied (see copy())
+        this.connection = mysql.createConnection({
+            host,
+            port,
+            user: username,
+            password,
+            charset: 'UTF8MB4_UNICODE_CI',
+            dateStrings: true,
+            supportBigNumbers: true,
+            bigNumberStrings: true
+        });
+    }
+
+    static statements(name, {charset, collation, grant} = {}) {
+        const id   = mysql.escapeId(name, true);
+        const user = grant && mysql.format('?@?', [grant.username, grant.host || '%']);
+        return {
+            exists: mysql.format('SELECT schema_name FROM information_schema.schemata WHERE schema_name = ?',
+                                 [name]),
+            drop: `DROP DATABASE ${id}`,
+            create: `CREATE DATABASE ${id}`
+                    + (charset ? ` CHARACTER SET ${keyword('db-charset', charset)}` : '')
+                    + (collation ? ` COLLATE ${keyword('db-collation', collation)}` : ''),
+            grant: grant ? [
+                `CREATE USER IF NOT EXISTS ${user} IDENTIFIED BY ${mysql.escape(grant.password)}`,
+                `GRANT ALL PRIVILEGES ON ${id}.* TO ${user}`
+            ] : []
+        };
+    }
+
+    connect() {
+        return new Promise((res, reject) => this.connection.connect(err => err ? reject(new DatabaseError(err))
+                                                                               : res()));
+    }
+
+    query(sql, values) {
+        return new Promise((res, reject) => this.connection.query(sql, values, (err, rows) =>
+            err ? reject(new DatabaseError(err)) : res(rows)));
+    }
+
+    async exists(name) {
+        return (await this.query(MysqlDriver.statements(name).exists)).length > 0;
+    }
+
+    create(name, options) {
+        return this.query(MysqlDriver.statements(name, options).create);
+    }
+
+    drop(name) {
+        return this.query(MysqlDriver.statements(name).drop);
+    }
+
+    async grant(name, options) {
+        for (const statement of MysqlDriver.statements(name, options).grant)
+            await this.query(statement);
+    }
+
+    use(name) {
+        return this.query(`USE ${mysql.escapeId(name, true)}`);
+    }
+
+    async dbVersion(prefix) {
+        try {
+            const [row] = await this.query(mysql.format('SELECT stg_value FROM ?? WHERE stg_name = ?',
+                                                        [prefix + 'settings_global', 'dbversionnumber']));
+            return row ? Number(row.stg_value) : null;
+        } catch (err) {
+            if (err.code === 'ER_NO_SUCH_TABLE')
+                return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Loads a data file written by mysqldump --tab into `table`.
+     */
+    load(file, table) {
+        return this.query(mysql.format('LOAD DATA LOCAL INFILE ? INTO TABLE ?? CHARACTER SET utf8mb4',
+                                       [file, table]));
+    }
+
+    /**
+     * One part per table of the current database whose name starts with `prefix`, yielding its
+     * CREATE TABLE then its rows streamed into INSERT statements of about `batch` bytes.
+     */
+    async copy(prefix = '', {batch = 1 << 20} = {}) {
+        const tables = await this.query('SELECT table_name AS name, data_length AS size '
+                                        + 'FROM information_schema.tables WHERE table_schema = DATABASE() '
+                                        + "AND table_type = 'BASE TABLE' AND table_name LIKE ? ORDER BY name",
+                                        [prefix.replace(/[\\%_]/g, '\\$&') + '%']);
+        return [{name: 'session settings', size: 0, statements: () => COPY_SESSION}].concat(tables.map(
+            ({name, size}) => ({name, size: Number(size), statements: () => this.dump(name, batch)})));
+    }
+
+    async* dump(table, batch) {
+        const [create] = await this.query(mysql.format('SHOW CREATE TABLE ??', [table]));
+        yield create['Create Table'];
+
+        const insert = mysql.format('INSERT INTO ?? VALUES ', [table]);
+        let rows     = [], length = 0;
+        try {
+            for await (const row of this.connection.query(mysql.format('SELECT * FROM ??', [table])).stream()) {
+                const values = `(${Object.values(row).map(value => mysql.escape(value)).join(',')})`;
+                rows.push(values);
+                if ((length += values.length + 1) >= batch) {
+                    yield insert + rows.join(',');
+                    rows   = [];
+                    length = 0;
+                }
+            }
+        } catch (err) {
+            rethrow(err);
+        }
+        if (rows.length)
+            yield insert + rows.join(',');
+    }
+
+    end() {
+        return new Promise(res => this.connection.end(() => res()));
+    }
+}
+
+class PgDriver {
+    constructor(settings) {
+        this.settings = settings;
+        this.client   = this.open('postgres');
+    }
+
+    static statements(name, {charset, collation, grant} = {}) {
+        const id   = pg.escapeIdentifier(name);
+        const user = grant && pg.escapeIdentifier(grant.username);
+        return {
+            exists: `SELECT datname FROM pg_database WHERE datname = ${pg.escapeLiteral(name)}`,
+            drop: `DROP DATABASE ${id}`,
+            create: `CREATE DATABASE ${id}`
+                    + (charset ? ` ENCODING ${pg.escapeLiteral(charset)}` : '')
+                    + (collation ? ` LC_COLLATE ${pg.escapeLiteral(collation)}` : '')
+                    + (charset || collation ? ' TEMPLATE template0' : ''),
+            grant: grant ? [
+                `CREATE ROLE ${user} LOGIN PASSWORD ${pg.escapeLiteral(grant.password)}`,
+                `ALTER DATABASE ${id} OWNER TO ${user}`
+            ] : []
+        };
+    }
+
+    open(database) {
+        const {host, port, username, password} = this.settings;
+        return new pg.Client({host, port, user: username, password, database});
+    }
+
+    connect() {
+        return this.client.connect().catch(rethrow);
+    }
+
+    async query(sql, values) {
+        return (await this.client.query(sql, values).catch(rethrow)).rows;
+    }
+
+    async exists(name) {
+        return (await this.query(PgDriver.statements(name).exists)).length > 0;
+    }
+
+    create(name, options) {
+        return this.query(PgDriver.statements(name, options).create);
+    }
+
+    drop(name) {
+        return this.query(PgDriver.statements(name).drop);
+    }
+
+    async grant(name, options) {
+        const [create, owner] = PgDriver.statements(name, options).grant;
+        if (!(await this.query('SELECT rolname FROM pg_roles WHERE rolname = $1', [options.grant.username])).length)
+            await this.query(create);
+        await this.query(owner);
+    }
+
+    async use(name) {
+        await this.client.end();
+        this.client = this.open(name);
+        await this.connect();
+    }
+
+    async dbVersion(prefix) {
+        try {
+            const [row] = await this.query(`SELECT stg_value FROM ${pg.escapeIdentifier(prefix + 'settings_global')} `
+                                           + 'WHERE stg_name = $1', ['dbversionnumber']);
+            return row ? Number(row.stg_value) : null;
+        } catch (err) {
+            // undefined_table
+            if (err.code === '42P01')
+                return null;
+            throw err;
+        }
+    }
+
+    end() {
+        return this.client.end();
+    }
+}
+
+const DRIVERS = {mysql: MysqlDriver, pgsql: PgDriver};
+
+function hasDriver(type) {
+    return !!DRIVERS[(TYPES[type] || {}).driver];
+}
+
+/**
+ * Driver (not connected yet) for the database `settings` ({type, host, port, username, password}).
+ */
+function driver(settings) {
+    if (!hasDriver(settings.type))
+        throw new LsMergeError(`No driver can create ${(TYPES[settings.type] || {}).title || settings.type} `
+                               + 'databases, create it manually');
+    return new DRIVERS[TYPES[settings.type].driver](settings);
+}
+
+/**
+ * Settings {type, host, port, dbname} of the PDO connection string `dsn` (see TYPES), null when
+ * its type is unknown.
+ */
+function parseDsn(dsn) {
+    const match = /^(\w+):(.*)$/.exec(dsn || '');
+    if (!match || !TYPES[match[1]])
+        return null;
+    const params = _.fromPairs(match[2].split(';').filter(Boolean).map(param => param.split('=')));
+    const [host, port] = (params.host || params.Server || '').split(/[,:]/);
+    return {
+        type: match[1],
+        host,
+        port: Number(port || params.port) || TYPES[match[1]].port,
+        dbname: params.dbname || params.Database
+    };
+}
+
+function canCopy(type) {
+    return hasDriver(type) && !!DRIVERS[TYPES[type].driver].prototype.copy;
+}
+
+function statements(type, name, options) {
+    return hasDriver(type) ? DRIVERS[TYPES[type].driver].statements(name, options) : null;
+}
+
+module.exports = {TYPES, MysqlDriver, PgDriver, hasDriver, canCopy, driver, parseDsn, statements};
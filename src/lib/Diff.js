@@ -0,0 +1,33 @@
+'use strict';
+const {createTwoFilesPatch} = require('diff');
+const chalk                 = require('chalk');
+
+const isBinary = buffer => Buffer.isBuffer(buffer) && buffer.includes(0);
+
+/**
+ * Unified diff between two versions of the file `name` (relative path shown in the headers).
+ */
+function patch(name, before, after) {
+    if (isBinary(before) || isBinary(after))
+        return `Binary files a/${name} and b/${name} differ\n`;
+    return createTwoFilesPatch(`a/${name}`, `b/${name}`, String(before), String(after));
+}
+
+/**
+ * Same as patch(), null when both versions are identical (the diff would only hold its headers).
+ */
+function changes(name, before, after) {
+    return String(before) === String(after) ? null : patch(name, before, after);
+}
+
+function color(diff) {
+    return diff.split('\n').map(line => {
+        if (/^(\+\+\+|---)/.test(line)) return chalk.bold(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        return line;
+    }).join('\n');
+}
+
+module.exports = {isBinary, patch, changes, color};
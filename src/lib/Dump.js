@@ -0,0 +1,126 @@
+'use strict';
+const {createReadStream, existsSync: exists, statSync: stat, readdirSync: readdir} = require('fs');
+const {join, basename, extname}                                                   = require('path');
+const {PassThrough}                                                               = require('stream');
+const {InvalidOptionError}                                                        = require('./Errors');
+const zlib                                                                        = require('zlib');
+const bunzip2                                                                     = require('unbzip2-stream');
+const yauzl                                                                       = require('yauzl');
+
+const SQL  = /\.sql(?:\.gz|\.bz2)?$/i;
+const DATA = /\.txt$/i;
+
+const isDirectory = path => exists(path) && stat(path).isDirectory();
+
+// mydumper writes the creation of the dumped database apart, it must not be replayed
+const isCreateDatabase = file => /-schema-create\.sql(?:\.gz|\.bz2)?$/i.test(file);
+
+/**
+ * Whether `path` can be imported: a .sql, .sql.gz or .sql.bz2 file, a zip archive or a
+ * directory written by mysqldump --tab (or mydumper) holding such files.
+ */
+function isDump(path) {
+    if (isDirectory(path))
+        return readdir(path).some(file => SQL.test(file));
+    return exists(path) && (SQL.test(path) || /\.zip$/i.test(path));
+}
+
+/**
+ * Pipes `raw` through the decompression its name `name` asks for.
+ */
+function decompress(raw, name) {
+    if (/\.gz$/i.test(name))
+        return raw.pipe(zlib.createGunzip());
+    if (/\.bz2$/i.test(name))
+        return raw.pipe(bunzip2()).pipe(new PassThrough());
+    return raw.pipe(new PassThrough());
+}
+
+const openZip = file => new Promise((res, reject) =>
+    yauzl.open(file, {lazyEntries: true, autoClose: false}, (err, zip) => err ? reject(err) : res(zip)));
+
+/**
+ * SQL entries (.sql, .sql.gz, .sql.bz2) of the zip archive `file`.
+ */
+async function entries(file) {
+    const zip = await openZip(file);
+    try {
+        return await new Promise((res, reject) => {
+            const found = [];
+            zip.on('entry', entry => {
+                if (SQL.test(entry.fileName) && !entry.fileName.endsWith('/'))
+                    found.push(entry);
+                zip.readEntry();
+            });
+            zip.on('end', () => res(found));
+            zip.on('error', reject);
+            zip.readEntry();
+        });
+    } finally {
+        zip.close();
+    }
+}
+
+function zipPart(file, entry) {
+    return {
+        name: `${basename(file)}:${entry.fileName}`,
+        size: entry.compressedSize,
+        async open(onBytes) {
+            // deflated entries are read raw to count the bytes read from the archive
+            const zip      = await openZip(file);
+            const deflated = entry.compressionMethod === 8;
+            const raw      = await new Promise((res, reject) => zip.openReadStream(entry,
+                deflated ? {decompress: false} : {}, (err, stream) => err ? reject(err) : res(stream)));
+            raw.on('data', chunk => onBytes(chunk.length)).on('end', () => zip.close());
+            return decompress(deflated ? raw.pipe(zlib.createInflateRaw()) : raw, entry.fileName);
+        }
+    };
+}
+
+function filePart(file) {
+    return {
+        name: basename(file),
+        size: stat(file).size,
+        async open(onBytes) {
+            const raw = createReadStream(file);
+            raw.on('data', chunk => onBytes(chunk.length));
+            return decompress(raw, file);
+        }
+    };
+}
+
+/**
+ * Parts of the dump `path` to import in order, {name, size, open(onBytes)} resolving to the SQL
+ * stream (`onBytes` receiving the number of bytes read from the disk), or {name, size, path,
+ * table} for the data files of mysqldump --tab to load in `table`. The `entry` of a zip archive
+ * is required when it holds several SQL files.
+ */
+async function parts(path, {entry} = {}) {
+    if (isDirectory(path)) {
+        const files  = readdir(path).sort();
+        const schema = files.filter(file => SQL.test(file) && !isCreateDatabase(file));
+        return schema.filter(file => /-schema\.sql/i.test(file))
+            .concat(schema.filter(file => !/-schema\.sql/i.test(file)))
+            .map(file => filePart(join(path, file)))
+            .concat(files.filter(file => DATA.test(file)).map(file => ({
+                name: file,
+                size: stat(join(path, file)).size,
+                path: join(path, file),
+                table: basename(file, extname(file))
+            })));
+    }
+    if (!/\.zip$/i.test(path))
+        return [filePart(path)];
+
+    const found = await entries(path);
+    if (!found.length)
+        throw new InvalidOptionError('sql', `the archive ${path} does not contain any SQL file`);
+    const chosen = entry != null ? found.find(e => e.fileName === entry) : found.length === 1 ? found[0] : null;
+    if (!chosen)
+        throw new InvalidOptionError('sql-entry', (entry != null ? `"${entry}" is not an SQL file of ${path}`
+                                                                 : `${path} holds several SQL files`)
+                                                  + `, choose one of ${found.map(e => e.fileName).join(', ')}`);
+    return [zipPart(path, chosen)];
+}
+
+module.exports = {SQL, isDump, entries, parts};
@@ -0,0 +1,80 @@
+'use strict';
+
+class LsMergeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+class MissingOptionError extends LsMergeError {
+    constructor(option, hint) {
+        super(`Missing required option --${option}` + (hint ? ` (${hint})` : ''));
+        this.option = option;
+    }
+}
+
+class InvalidOptionError extends LsMergeError {
+    constructor(option, message) {
+        super(`Invalid value for --${option}: ${message}`);
+        this.option = option;
+    }
+}
+
+class RecipeError extends LsMergeError {
+    constructor(file, errors) {
+        super(`Invalid recipe ${file}:\n` + errors.map(({line, col, message}) =>
+            `\t${file}:${line}:${col}: ${message}`).join('\n'));
+        this.file   = file;
+        this.errors = errors;
+    }
+}
+
+class ConflictError extends LsMergeError {
+    constructor(files) {
+        super(`${files.length} file(s) already exist in the output directory and their mapping uses the `
+              + `"fail" policy:\n` + files.map(file => `\t${file}`).join('\n'));
+        this.files = files;
+    }
+}
+
+class GitError extends LsMergeError {
+    constructor(args, cause) {
+        super(`git ${args[0]} failed: ` + (cause.stderr || cause.message).trim());
+        this.cause = cause;
+    }
+}
+
+class DatabaseError extends LsMergeError {
+    constructor(cause) {
+        super(cause.message);
+        this.code  = cause.code;
+        this.cause = cause;
+    }
+}
+
+class CancelledError extends LsMergeError {
+    constructor() {
+        super('Cancelled by the user');
+    }
+}
+
+class PhpSyntaxError extends LsMergeError {
+    constructor(message, line, col) {
+        super(`PHP syntax error: ${message} (line ${line}, column ${col})`);
+        this.line = line;
+        this.col  = col;
+    }
+}
+
+module.exports = {
+    LsMergeError,
+    MissingOptionError,
+    InvalidOptionError,
+    RecipeError,
+    ConflictError,
+    GitError,
+    DatabaseError,
+    CancelledError,
+    PhpSyntaxError
+};
@@ -0,0 +1,93 @@
+'use strict';
+const {promises: fsp, existsSync: exists} = require('fs');
+const {dirname, basename, join}           = require('path');
+const {remove}                            = require('fs-extra');
+
+/**
+ * Path `dir` is moved to by Journal.stage() until the run ends, left behind by a run which could
+ * not be rolled back.
+ */
+function backupPath(dir) {
+    return join(dirname(dir), `.${basename(dir)}.ls-merge-backup`);
+}
+
+/**
+ * Steps done by a run, each with the action undoing it, so that a failed or interrupted run
+ * can be rolled back (in reverse order). Steps which cannot be undone are recorded without
+ * action to be reported.
+ */
+class Journal {
+    constructor() {
+        this.steps    = [];
+        this.cleanups = [];
+    }
+
+    /**
+     * Records a done step: `description` tells what `undo()` does, or what cannot be undone
+     * when `undo` is null.
+     */
+    record(description, undo = null) {
+        this.steps.push({description, undo});
+    }
+
+    /**
+     * Moves the directory `dir` aside so that it can be replaced: the rollback puts it back,
+     * commit() removes it.
+     */
+    async stage(dir) {
+        const backup = backupPath(dir);
+        await remove(backup);
+        await fsp.rename(dir, backup);
+        this.record(`Restore the previous ${dir}`, async () => {
+            await remove(dir);
+            await fsp.rename(backup, dir);
+        });
+        this.cleanups.push(() => remove(backup));
+        return backup;
+    }
+
+    /**
+     * Records that the directory `dir` is about to be created (unless it exists already): the
+     * rollback removes it.
+     */
+    creating(dir) {
+        if (!exists(dir))
+            this.record(`Remove ${dir}`, () => remove(dir));
+    }
+
+    /**
+     * Ends a successful run: the staged directories are removed and nothing can be rolled back.
+     */
+    async commit() {
+        for (const cleanup of this.cleanups.splice(0))
+            await cleanup();
+        this.steps = [];
+    }
+
+    /**
+     * Undoes the recorded steps, last first, and resolves to what was done: [{description,
+     * undone, error}] where `undone` is false for the steps which cannot be undone or whose
+     * undoing failed (with the `error` message).
+     */
+    async rollback() {
+        const report = [];
+        for (const {description, undo} of this.steps.splice(0).reverse()) {
+            if (!undo) {
+                report.push({description, undone: false});
+                continue;
+            }
+            try {
+                await undo();
+                report.push({description, undone: true});
+            } catch (err) {
+                report.push({description, undone: false, error: err.message});
+            }
+        }
+        this.cleanups = [];
+        return report;
+    }
+}
+
+module.exports = () => new Journal();
+module.exports.Journal    = Journal;
+module.exports.backupPath = backupPath;
@@ -0,0 +1,72 @@
+'use strict';
+const {promises: fsp, unlinkSync} = require('fs');
+const {dirname}                   = require('path');
+const {LsMergeError}              = require('./Errors');
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+async function owner(file) {
+    try {
+        return parseInt(await fsp.readFile(file, 'utf8'), 10) || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Creates `file` exclusively, waiting while another living process owns it. Lock files left by
+ * dead processes are considered stale and taken over. Resolves to the function releasing it.
+ */
+async function acquire(file, {timeout = 10 * 60 * 1000, interval = 500, onWait = () => {}} = {}) {
+    const start = Date.now();
+    let waiting = false;
+    await fsp.mkdir(dirname(file), {recursive: true});
+    for (;;) {
+        try {
+            const handle = await fsp.open(file, 'wx');
+            await handle.write(String(process.pid));
+            await handle.close();
+            break;
+        } catch (err) {
+            if (err.code !== 'EEXIST')
+                throw err;
+        }
+
+        const pid = await owner(file);
+        if (pid === process.pid)
+            throw new LsMergeError(`${file} is already locked by this process`);
+        if (pid != null && !isAlive(pid)) {
+            await fsp.unlink(file).catch(() => {});
+            continue;
+        }
+        if (Date.now() - start > timeout)
+            throw new LsMergeError(`Timed out waiting for the lock ${file} held by process ${pid}`);
+        if (!waiting) {
+            waiting = true;
+            onWait(pid);
+        }
+        await sleep(interval);
+    }
+
+    const release = () => {
+        process.removeListener('exit', release);
+        try {
+            unlinkSync(file);
+        } catch (err) {
+            // already released
+        }
+    };
+    process.on('exit', release);
+    return release;
+}
+
+module.exports = {acquire};
@@ -0,0 +1,37 @@
+'use strict';
+const {existsSync: exists, lstatSync: stat} = require('fs');
+const {InvalidOptionError}                  = require('./Errors');
+const {POLICIES}                            = require('./Merge');
+
+// from:glob:to[:policy] where `from` may start with a Windows drive letter (C:\...)
+const MAPPING = /^((?:[a-z]:)?[^:]+):([^:]*):([^:]*)(?::([^:]*))?$/i;
+
+function parse(spec) {
+    const match = MAPPING.exec(String(spec));
+    if (!match)
+        throw new InvalidOptionError('merge', `"${spec}" does not match the format from:glob:to[:policy]`);
+    const [, dirFrom, globFrom, to, policy] = match;
+    return {dirFrom, globFrom: globFrom || '**/*', to, policy: policy || undefined};
+}
+
+/**
+ * Checked mapping {dirFrom, globFrom, to, policy} given as is or as a from:glob:to[:policy]
+ * string: `dirFrom` must be an existing directory, `to` a path relative to the limesurvey
+ * directory and `policy` (optional) one of Merge.POLICIES.
+ */
+function check(mapping) {
+    const {dirFrom, globFrom = '**/*', to, policy} = typeof mapping === 'string' ? parse(mapping) : mapping;
+    if (typeof dirFrom !== 'string' || !exists(dirFrom) || !stat(dirFrom).isDirectory())
+        throw new InvalidOptionError('merge', `"${dirFrom}" is not an existing directory`);
+    if (typeof globFrom !== 'string' || !globFrom)
+        throw new InvalidOptionError('merge', `the glob of the files to copy from "${dirFrom}" must be a non-empty `
+                                              + 'string');
+    if (typeof to !== 'string')
+        throw new InvalidOptionError('merge', `the destination of the files of "${dirFrom}" must be a path `
+                                              + 'relative to the limesurvey directory');
+    if (policy != null && !POLICIES.includes(policy))
+        throw new InvalidOptionError('merge', `"${policy}" is not a conflict policy (${POLICIES.join(', ')})`);
+    return {dirFrom, globFrom, to, policy: policy || undefined};
+}
+
+module.exports = {parse, check};
@@ -0,0 +1,165 @@
+'use strict';
+const {promises: fsp, existsSync: exists}                 = require('fs');
+const {join, resolve, relative, sep}                      = require('path');
+const {tmpdir}                                            = require('os');
+const {copy, outputFile, remove: rmdir}                   = require('fs-extra');
+const {ConflictError, MissingOptionError, CancelledError} = require('./Errors');
+const Diff                                                = require('./Diff');
+const prompts                                             = require('prompts');
+const chalk                                               = require('chalk');
+const execa                                               = require('execa');
+const glob                                                = require('tiny-glob');
+
+const POLICIES = ['overwrite', 'skip', 'keep-newer', 'prompt', 'fail', 'merge'];
+
+/**
+ * Every file matched by the mappings with the path it will be copied to in `outDir` and the
+ * policy applied when it already exists there (the mapping's one or `policy`).
+ */
+async function plan(mappings, outDir, {dots = false, policy = 'overwrite'} = {}) {
+    const files = [];
+    for (const mapping of mappings) {
+        const {dirFrom, globFrom, to} = mapping;
+        for (const file of await glob(globFrom, {cwd: dirFrom, filesOnly: true, dot: dots}))
+            files.push({
+                source: resolve(dirFrom, file),
+                destination: join(outDir, to, file),
+                path: join(to, file),
+                policy: mapping.policy || policy
+            });
+    }
+    return files;
+}
+
+/**
+ * Asks what to do with a conflicting file after showing its diff. Answers ending with "all"
+ * are reused for the next conflicts.
+ */
+function resolver() {
+    let always = null;
+    return async file => {
+        if (always)
+            return always;
+        const [before, after] = await Promise.all([fsp.readFile(file.destination), fsp.readFile(file.source)]);
+        console.log('\n' + Diff.color(Diff.patch(file.path, before, after).trimEnd()));
+        const {action} = await prompts({
+            type: 'select',
+            name: 'action',
+            message: `${file.path} already exists`,
+            choices: [
+                {title: 'Overwrite', value: 'overwrite'},
+                {title: 'Skip', value: 'skip'},
+                {title: 'Overwrite all the remaining conflicts', value: 'overwrite all'},
+                {title: 'Skip all the remaining conflicts', value: 'skip all'}
+            ]
+        }, {onCancel() { throw new CancelledError(); }});
+        const [decision, all] = action.split(' ');
+        if (all)
+            always = decision;
+        return decision;
+    };
+}
+
+/**
+ * Three-way merge (git merge-file) of our version of a file with the one of the new tag, `base`
+ * being the content of the file in the tag our version was customized from. Returns the action
+ * ("skip" when we did not customize the file, "overwrite" when the tag did not change it,
+ * "merged" or "conflict") and the merged `content`.
+ */
+async function threeWay(file, base) {
+    const [ours, theirs] = await Promise.all([fsp.readFile(file.source), fsp.readFile(file.destination)]);
+    base = Buffer.from(base == null ? '' : base);
+    if (ours.equals(base))
+        return {action: 'skip'};
+    if (theirs.equals(base))
+        return {action: 'overwrite'};
+    if ([ours, base, theirs].some(Diff.isBinary))
+        return {action: 'conflict', binary: true};
+
+    const dir = await fsp.mkdtemp(join(tmpdir(), 'ls-merge-'));
+    try {
+        const [o, b, t] = ['ours', 'base', 'theirs'].map(name => join(dir, name));
+        await Promise.all([fsp.writeFile(o, ours), fsp.writeFile(b, base), fsp.writeFile(t, theirs)]);
+        const {code, stdout, stderr} = await execa('git', [
+            'merge-file', '-p', '-L', `ours:${file.path}`, '-L', `base:${file.path}`, '-L', `tag:${file.path}`, o, b, t
+        ], {reject: false, stripEof: false});
+        if (code < 0 || code > 127)
+            throw new Error(`git merge-file failed on ${file.path}: ${stderr}`);
+        return {action: code === 0 ? 'merged' : 'conflict', content: stdout};
+    } finally {
+        await rmdir(dir);
+    }
+}
+
+async function identical(file) {
+    const [a, b] = await Promise.all([fsp.readFile(file.source), fsp.readFile(file.destination)]);
+    return a.equals(b);
+}
+
+/**
+ * Decides the `action` of every file: "copy" (new file), "identical", "overwrite" or "skip".
+ * Nothing is decided (and a `ConflictError` is thrown) when a "fail" mapping has conflicts.
+ */
+async function resolveConflicts(files, {interactive = true, prompt = resolver(), base} = {}) {
+    const conflicts = [];
+    for (const file of files) {
+        if (!exists(file.destination))
+            file.action = 'copy';
+        else if (await identical(file))
+            file.action = 'identical';
+        else conflicts.push(file);
+    }
+
+    const failing = conflicts.filter(file => file.policy === 'fail');
+    if (failing.length)
+        throw new ConflictError(failing.map(file => file.destination));
+    if (!interactive && conflicts.some(file => file.policy === 'prompt'))
+        throw new MissingOptionError('on-conflict', 'conflicts cannot be resolved with the "prompt" policy '
+                                                    + 'and --no-interactive');
+    if (!base && conflicts.some(file => file.policy === 'merge'))
+        throw new MissingOptionError('base-tag', 'the "merge" policy needs the tag the files were customized from');
+
+    for (const file of conflicts) {
+        switch (file.policy) {
+            case 'keep-newer': {
+                const [source, destination] = await Promise.all([fsp.stat(file.source),
+                                                                 fsp.stat(file.destination)]);
+                file.action = source.mtimeMs > destination.mtimeMs ? 'overwrite' : 'skip';
+                break;
+            }
+            case 'prompt':
+                file.action = await prompt(file);
+                break;
+            case 'merge':
+                Object.assign(file, await threeWay(file, await base(file.path.split(sep).join('/'))));
+                break;
+            default:
+                file.action = file.policy;
+        }
+    }
+    return conflicts;
+}
+
+const ACTIONS = {
+    overwrite: chalk.yellow('(overwritten)'),
+    skip: chalk.gray('(skipped)'),
+    merged: chalk.green('(merged)'),
+    conflict: chalk.red('(merge conflict)')
+};
+
+function report(conflicts, outDir) {
+    return conflicts.map(file => `    ${relative(outDir, file.destination)} ${ACTIONS[file.action]}`
+                                 + (file.binary ? chalk.red(' binary file, the tag version was kept') : ''))
+        .join('\n');
+}
+
+async function apply(files) {
+    for (const file of files) {
+        if (['copy', 'overwrite'].includes(file.action || 'copy'))
+            await copy(file.source, file.destination, {overwrite: true, dereference: true});
+        else if (file.content != null)
+            await outputFile(file.destination, file.content);
+    }
+}
+
+module.exports = {POLICIES, plan, resolver, threeWay, resolveConflicts, report, apply};
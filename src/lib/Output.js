@@ -0,0 +1,52 @@
+'use strict';
+const {existsSync: exists}      = require('fs');
+const {dirname, basename, join} = require('path');
+const {copy}                    = require('fs-extra');
+const tar                       = require('tar');
+
+// what to do with an existing output directory ('rename' picks another directory beforehand)
+const ON_EXISTING = ['overwrite', 'backup', 'merge', 'rename'];
+
+/**
+ * First path among `dir`, `dir-2`, `dir-3`... which does not exist.
+ */
+function freeName(dir) {
+    let path = dir;
+    for (let i = 2; exists(path); i++)
+        path = `${dir}-${i}`;
+    return path;
+}
+
+/**
+ * Path of the timestamped archive backing up the directory `dir`, next to it.
+ */
+function archivePath(dir, date = new Date()) {
+    return join(dirname(dir), `${basename(dir)}-${date.toISOString().replace(/[:.]/g, '-')}.tar.gz`);
+}
+
+/**
+ * Readies the output directory `dir` to check out into according to `onExisting` when it
+ * exists: the directory is replaced ('overwrite'), archived then replaced ('backup') or kept to
+ * be checked out into ('merge'). The changes are recorded in `journal` to be rolled back.
+ */
+async function prepare(dir, onExisting, {journal, spinner}) {
+    if (!exists(dir))
+        return journal.creating(dir);
+
+    if (onExisting === 'backup') {
+        const file = archivePath(dir);
+        spinner.start(`Archiving ${dir}`);
+        await tar.c({gzip: true, file, cwd: dirname(dir), portable: true}, [basename(dir)]);
+        spinner.succeed(`Directory archived to ${file}!`);
+    }
+    spinner.start(`Moving directory ${dir} aside`);
+    const staged = await journal.stage(dir);
+    if (onExisting === 'merge') {
+        // the staged directory is kept as is for the rollback, the checkout goes into a copy
+        await copy(staged, dir);
+        spinner.succeed(`Directory saved to ${staged} (deleted once done), the checkout is merged into ${dir}`);
+    } else
+        spinner.succeed(`Directory moved to ${staged} (deleted once done)!`);
+}
+
+module.exports = {ON_EXISTING, freeName, archivePath, prepare};
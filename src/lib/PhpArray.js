@@ -0,0 +1,255 @@
+'use strict';
+const {PhpSyntaxError} = require('./Errors');
+
+const TOKENS = [
+    ['whitespace', /\s+/y],
+    ['comment', /(?:\/\/|#)[^\n]*?(?=\?>|\n|$)|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /'(?:[^'\\]|\\[\s\S])*'|"(?:[^"\\]|\\[\s\S])*"/y],
+    ['number', /\d[\w.]*/y],
+    ['word', /[a-z_\\\u0080-\uffff][\w\\\u0080-\uffff]*/iy],
+    ['variable', /\$\w+/y],
+    ['close-tag', /\?>/y],
+    ['punctuation', /=>|::|->|[\s\S]/y]
+];
+
+const CONSTANTS = {true: true, false: false, null: null};
+
+// comment ending a line (and the spaces before it)
+const EOL_COMMENT = /^[ \t]*(?:(?:\/\/|#)[^\n]*|\/\*.*?\*\/[ \t]*)?(?=\n)/;
+
+const lineCol = (source, offset) => {
+    const lines = source.slice(0, offset).split('\n');
+    return [lines.length, lines[lines.length - 1].length + 1];
+};
+
+/**
+ * Splits a PHP file into tokens ({type, text, start, end}), the text outside of the PHP tags
+ * being "html" tokens. Only what config.php files are made of is supported (no heredoc).
+ */
+function tokenize(source) {
+    const tokens = [];
+    let offset   = 0;
+    const push   = (type, end) => {
+        tokens.push({type, text: source.slice(offset, end), start: offset, end});
+        offset = end;
+    };
+    while (offset < source.length) {
+        const open = /<\?(?:php\b|=)?/g;
+        open.lastIndex = offset;
+        const tag = open.exec(source);
+        if (!tag) {
+            push('html', source.length);
+            break;
+        }
+        if (tag.index > offset)
+            push('html', tag.index);
+        push('open-tag', tag.index + tag[0].length);
+
+        while (offset < source.length) {
+            if (source.startsWith('<<<', offset))
+                throw new PhpSyntaxError('heredoc strings are not supported', ...lineCol(source, offset));
+            const [type, regexp] = TOKENS.find(([, regexp]) => {
+                regexp.lastIndex = offset;
+                return regexp.test(source);
+            });
+            if (/^['"]$/.test(source.slice(offset, regexp.lastIndex)) && type !== 'string')
+                throw new PhpSyntaxError('unterminated string', ...lineCol(source, offset));
+            push(type, regexp.lastIndex);
+            if (type === 'close-tag')
+                break;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Value of a PHP literal (string, number, true/false/null), the source text otherwise.
+ */
+function literal(text) {
+    if (/^'[\s\S]*'$/.test(text))
+        return text.slice(1, -1).replace(/\\([\\'])/g, '$1');
+    if (/^"[\s\S]*"$/.test(text))
+        return text.slice(1, -1).replace(/\\([\\"$nrtv0]|x[\da-f]{1,2})/gi, (m, c) =>
+            ({n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'})[c]
+            || (c[0].toLowerCase() === 'x' ? String.fromCharCode(parseInt(c.slice(1), 16)) : c));
+    if (/^\d/.test(text) && !isNaN(Number(text.replace(/_/g, ''))))
+        return Number(text.replace(/_/g, ''));
+    return text.toLowerCase() in CONSTANTS ? CONSTANTS[text.toLowerCase()] : text;
+}
+
+/**
+ * Parses the array returned by a config.php file. Arrays are {type: 'array', short, start, end,
+ * entries: [{key, keyNode, value}]} and any other expression {type: 'scalar', start, end}, the
+ * offsets pointing into `source` so that it can be edited in place.
+ */
+function parse(source) {
+    const tokens = tokenize(source).filter(t => !['whitespace', 'comment', 'html', 'open-tag'].includes(t.type));
+    let i        = tokens.findIndex(t => t.type === 'word' && t.text.toLowerCase() === 'return');
+    if (i < 0)
+        throw new PhpSyntaxError('no "return" statement found', ...lineCol(source, source.length));
+
+    const fail = (message, token) => {
+        throw new PhpSyntaxError(message, ...lineCol(source, token ? token.start : source.length));
+    };
+    const is   = (text, token = tokens[i]) => !!token && token.text.toLowerCase() === text;
+
+    function expression(closing) {
+        const first = tokens[i];
+        if (is('[') || (is('array') && is('(', tokens[i + 1]))) {
+            const node = array();
+            if (!tokens[i] || is(',') || is(closing) || is(';'))
+                return node;
+            i = tokens.indexOf(first);
+        }
+        let depth = 0;
+        for (; tokens[i]; i++) {
+            if (depth === 0 && (is(',') || is(closing) || is(';') || is('=>') || is('?>')))
+                break;
+            if (['(', '['].includes(tokens[i].text))
+                depth++;
+            else if ([')', ']'].includes(tokens[i].text) && --depth < 0)
+                fail(`unexpected "${tokens[i].text}"`, tokens[i]);
+        }
+        if (tokens[i] === first)
+            fail(`unexpected ${tokens[i] ? `"${tokens[i].text}"` : 'end of file'}`, tokens[i]);
+        return {type: 'scalar', start: first.start, end: tokens[i - 1].end};
+    }
+
+    function array() {
+        const short   = is('[');
+        const start   = tokens[i].start;
+        const closing = short ? ']' : ')';
+        i += short ? 1 : 2;
+        const node = {type: 'array', short, start, open: tokens[i - 1].end, entries: []};
+        while (!is(closing)) {
+            if (!tokens[i])
+                fail(`"${closing}" expected`);
+            let keyNode = null, value = expression(closing);
+            if (is('=>')) {
+                i++;
+                keyNode = value;
+                value   = expression(closing);
+            }
+            node.entries.push({keyNode, value});
+            if (is(','))
+                i++;
+            else if (!is(closing))
+                fail(`"," or "${closing}" expected`, tokens[i]);
+        }
+        node.close = tokens[i].start;
+        node.end   = tokens[i++].end;
+
+        let index = 0;
+        for (const entry of node.entries) {
+            if (entry.keyNode) {
+                entry.key = literal(source.slice(entry.keyNode.start, entry.keyNode.end));
+                if (typeof entry.key === 'number')
+                    index = Math.max(index, entry.key + 1);
+            } else
+                entry.key = index++;
+            entry.key = String(entry.key);
+        }
+        return node;
+    }
+
+    i++;
+    const root = expression();
+    if (root.type !== 'array')
+        fail('the returned value is not an array', tokens.find(t => t.start === root.start));
+    return root;
+}
+
+const quote = string => `'${String(string).replace(/[\\']/g, '\\$&')}'`;
+
+/**
+ * PHP source of a JS value, objects and arrays being written as multiline arrays indented with
+ * `indent` + `unit`.
+ */
+function serialize(value, {indent = '', unit = '    ', short = false} = {}) {
+    if (value === null || value === undefined)
+        return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number')
+        return String(value);
+    if (typeof value !== 'object')
+        return quote(value);
+
+    const [open, close] = short ? ['[', ']'] : ['array(', ')'];
+    const entries       = Array.isArray(value) ? value.map(v => [null, v]) : Object.entries(value);
+    if (!entries.length)
+        return open + close;
+    return `${open}\n` + entries.map(([key, v]) => indent + unit + (key === null ? '' : `${quote(key)} => `)
+                                                   + serialize(v, {indent: indent + unit, unit, short}) + ',\n')
+        .join('') + indent + close;
+}
+
+/**
+ * Value at the dotted `path` (e.g. "components.db.username") of the array returned by the PHP
+ * `source`: a JS value for literals, the source text of other expressions, undefined when missing.
+ */
+function get(source, path) {
+    const keys = Array.isArray(path) ? path : String(path).split('.');
+    let node   = parse(source);
+    for (const key of keys) {
+        const entry = node.type === 'array' && node.entries.filter(e => e.key === String(key)).pop();
+        if (!entry)
+            return undefined;
+        node = entry.value;
+    }
+    return node.type === 'array' ? source.slice(node.start, node.end) : literal(source.slice(node.start, node.end));
+}
+
+/**
+ * Sets the value at the dotted `path` (e.g. "components.db.username") of the array returned by
+ * the PHP `source`, creating the missing arrays. Everything else in the file is left untouched.
+ */
+function set(source, path, value) {
+    const keys     = Array.isArray(path) ? path : String(path).split('.');
+    const lineOf   = offset => source.slice(source.lastIndexOf('\n', offset - 1) + 1, offset);
+    const indentOf = offset => /^[ \t]*/.exec(lineOf(offset))[0];
+    const unit     = (/^(\t+|[ ]+)\S/m.exec(source.slice(source.indexOf('return'))) || [])[1] || '    ';
+    const style    = {unit, short: false};
+    const splice   = (start, end, text) => source.slice(0, start) + text + source.slice(end);
+
+    let node = parse(source);
+    for (let k = 0; k < keys.length; k++) {
+        style.short = node.short;
+        const entry = node.entries.filter(e => e.key === String(keys[k])).pop();
+        const rest  = keys.slice(k + 1).reduceRight((v, key) => ({[key]: v}), value);
+        if (!entry) {
+            const last = node.entries[node.entries.length - 1];
+            if (!last) {
+                const outer = indentOf(node.start);
+                const line  = `${quote(keys[k])} => ${serialize(rest, Object.assign({indent: outer + unit}, style))},`;
+                if (!/\n/.test(source.slice(node.open, node.close)))
+                    return splice(node.open, node.open, `\n${outer + unit}${line}\n${outer}`);
+                // after the comment ending the line of the opening parenthesis, the lines below kept as is
+                const comment = EOL_COMMENT.exec(source.slice(node.open, node.close));
+                const at      = node.open + (comment ? comment[0].length : 0);
+                return splice(at, at, `\n${outer + unit}${line}`);
+            }
+            const indent    = indentOf(last.keyNode ? last.keyNode.start : last.value.start);
+            const arrow     = last.keyNode ? source.slice(last.keyNode.end, last.value.start) : ' => ';
+            const line      = `${quote(keys[k])}${arrow}${serialize(rest, Object.assign({indent}, style))}`;
+            const multiline = /\n/.test(source.slice(node.open, node.close));
+            const comma     = /^\s*,/.exec(source.slice(last.value.end, node.close));
+            let at          = last.value.end + (comma ? comma[0].length : 0);
+            if (multiline) {
+                // after the comment ending the line of the last entry
+                const comment = EOL_COMMENT.exec(source.slice(at, node.close));
+                at += comment ? comment[0].length : 0;
+            }
+            const text = (multiline ? `\n${indent}` : ' ') + line + (comma ? ',' : '');
+            return comma ? splice(at, at, text)
+                         : source.slice(0, last.value.end) + ',' + source.slice(last.value.end, at) + text
+                           + source.slice(at);
+        }
+        if (k === keys.length - 1 || entry.value.type !== 'array') {
+            const indent = indentOf(entry.keyNode ? entry.keyNode.start : entry.value.start);
+            return splice(entry.value.start, entry.value.end, serialize(rest, Object.assign({indent}, style)));
+        }
+        node = entry.value;
+    }
+    return source;
+}
+
+module.exports = {tokenize, literal, parse, serialize, get, set};
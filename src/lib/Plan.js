@@ -0,0 +1,169 @@
+'use strict';
+const {promises: fsp, existsSync: exists} = require('fs');
+const {join, relative}                    = require('path');
+const ConfigFile                          = require('./ConfigFile');
+const Diff                                = require('./Diff');
+const Database                            = require('./Database');
+const Merge                               = require('./Merge');
+const {formatBytes}                       = require('./Utils');
+const chalk                               = require('chalk');
+const _                                   = require('lodash');
+
+const EXISTING = {
+    overwrite: 'it would be replaced',
+    backup: 'it would be archived then replaced',
+    merge: 'limesurvey would be checked out into it'
+};
+
+/**
+ * Resolves everything a run would do without writing to the output directory nor connecting
+ * to the database (the repository cache is still opened to resolve the checked out files).
+ */
+async function build({cache, ref, outDir, onExisting, keepGit, mappings, policy, db, overrides, ifExists, sqlFile,
+                     sqlParts, source, sqlPrefix, migrate, install, dots}) {
+    const commit   = await cache.withLock(() => cache.commit(ref));
+    const files    = await Merge.plan(mappings, outDir, {dots, policy});
+    const existing = new Set(await cache.withLock(() => cache.files(commit)));
+    for (const file of files)
+        file.exists = existing.has(relative(outDir, file.destination).replace(/\\/g, '/'));
+
+    const dbName     = db.dbname;
+    const statements = Database.statements(db.type, dbName, {
+        charset: db.charset,
+        collation: db.collation,
+        grant: db.grant && Object.assign({}, db.grant, {password: '********'})
+    });
+
+    const merged = files.find(f => f.destination === join(outDir, ConfigFile.CONFIG));
+    let template = ConfigFile.CONFIG, original;
+    if (merged)
+        original = await fsp.readFile(merged.source, 'utf8');
+    else if ((original = await cache.withLock(() => cache.read(commit, ConfigFile.CONFIG))) == null) {
+        template = ConfigFile.sample(db.type);
+        original = await cache.withLock(() => cache.read(commit, template));
+    }
+
+    return {
+        repository: cache.repository,
+        ref,
+        commit,
+        checkout: keepGit ? 'git clone' : 'git archive',
+        outDir,
+        existing: exists(outDir) ? onExisting : null,
+        files,
+        config: original == null ? null : {
+            file: ConfigFile.CONFIG,
+            template: merged ? merged.source : template,
+            diff: Diff.changes(ConfigFile.CONFIG, original,
+                               ConfigFile.apply(original, Object.assign(ConfigFile.database(db), overrides)))
+        },
+        database: {
+            type: db.type,
+            host: db.host,
+            port: db.port,
+            username: db.username,
+            name: dbName,
+            ifExists,
+            statements: statements ? [statements.exists, statements.create].concat(statements.grant) : [],
+            sqlFile: sqlFile ? {
+                path: sqlFile,
+                parts: sqlParts.map(({name, size, table}) => _.omitBy({name, size, table}, _.isNil))
+            } : null,
+            copy: source ? {
+                type: source.type,
+                host: source.host,
+                port: source.port,
+                username: source.username,
+                name: source.dbname,
+                tablePrefix: source.tablePrefix || null
+            } : null,
+            migrate: migrate ? migrate.join(' ') : null,
+            install: install ? install.join(' ') : null,
+            // the prefix of the copied tables is undefined until they are read
+            tables: sqlFile || source ? {
+                prefix: sqlPrefix,
+                rewrite: sqlPrefix != null && sqlPrefix !== db.tablePrefix ? db.tablePrefix : null
+            } : null
+        }
+    };
+}
+
+function format(plan) {
+    const lines = [
+        chalk.bold.cyan('------------- DRY RUN -------------'),
+        `${chalk.bold('Repository:')} ${plan.repository}`,
+        `${chalk.bold('Checkout:')}   limesurvey@${plan.ref} (${plan.commit}) with ${plan.checkout}`,
+        `${chalk.bold('Output:')}     ${plan.outDir}`
+        + (plan.existing ? chalk.yellow(` (already exists, ${EXISTING[plan.existing]})`) : '')
+    ];
+
+    lines.push(chalk.bold(`Files to copy (${plan.files.length}):`));
+    for (const {source, destination, exists, policy} of plan.files)
+        lines.push(`    ${source} ${chalk.gray('→')} ${relative(plan.outDir, destination)}`
+                   + (exists ? chalk.yellow(` (already exists: ${policy})`) : ''));
+
+    if (plan.config && plan.config.diff) {
+        lines.push(chalk.bold(`Changes to ${plan.config.file} (from ${plan.config.template}):`));
+        lines.push(Diff.color(plan.config.diff.trimEnd()).replace(/^/gm, '    '));
+    } else if (plan.config)
+        lines.push(`${plan.config.file} (from ${plan.config.template}) would be left unchanged`);
+    else
+        lines.push(chalk.yellow(`${ConfigFile.CONFIG} not found, it would not be updated`));
+
+    const {database: db} = plan;
+    lines.push(chalk.bold(`${Database.TYPES[db.type].title} database ${db.name} on `
+                          + `${db.username}@${db.host}:${db.port}:`));
+    for (const statement of db.statements)
+        lines.push(`    ${statement};`);
+    if (db.statements.length)
+        lines.push(chalk.gray(`    (if it already exists: ${db.ifExists || 'prompt'})`));
+    if (!db.statements.length)
+        lines.push(chalk.yellow('    no driver available, it would have to be created manually'));
+    if (db.sqlFile) {
+        lines.push(`    then every statement of ${db.sqlFile.path}:`);
+        for (const part of db.sqlFile.parts)
+            lines.push(`        ${part.name} (${formatBytes(part.size)})`
+                       + (part.table ? ` loaded into the table ${part.table}` : ''));
+    }
+    if (db.copy)
+        lines.push(`    then every table of ${db.copy.name}`
+                   + (db.copy.tablePrefix ? ` prefixed by "${db.copy.tablePrefix}"` : '')
+                   + ` copied from ${db.copy.username}@${db.copy.host}:${db.copy.port}`);
+    if (db.tables && db.tables.prefix === undefined)
+        lines.push(chalk.gray('    (their prefix would be detected from the LimeSurvey tables and rewritten)'));
+    else if (db.tables && db.tables.prefix === null)
+        lines.push(chalk.yellow('    no LimeSurvey table found at its beginning, its table names would be kept'));
+    else if (db.tables && db.tables.rewrite != null)
+        lines.push(`    with its tables prefixed by "${db.tables.prefix}" renamed with the prefix `
+                   + `"${db.tables.rewrite}"`);
+    if (db.migrate)
+        lines.push(`    then the LimeSurvey migrations: ${db.migrate} (in ${plan.outDir})`);
+    if (db.install)
+        lines.push(`    then the LimeSurvey installer: ${db.install} (in ${plan.outDir})`);
+
+    return lines.join('\n');
+}
+
+function formatUpgrade(plan) {
+    const lines = [
+        chalk.bold.cyan('------------- DRY RUN -------------'),
+        `${chalk.bold('Repository:')} ${plan.repository}`,
+        `${chalk.bold('Upgrade:')}    ${plan.dir} from ${plan.from.version}+${plan.from.build}`
+        + (plan.from.tag ? ` (${plan.from.tag})` : chalk.yellow(' (no matching tag)'))
+        + ` to limesurvey@${plan.ref} (${plan.commit})`
+    ];
+    lines.push(chalk.bold(`Preserved (${plan.preserved.length}):`));
+    for (const path of plan.preserved)
+        lines.push(`    ${path}`);
+    lines.push(chalk.bold(`Replaced (${plan.replaced.length}):`));
+    for (const path of plan.replaced)
+        lines.push(`    ${path}`);
+    lines.push(chalk.bold(`Files to copy (${plan.files.length}):`));
+    for (const {source, destination, policy} of plan.files)
+        lines.push(`    ${source} ${chalk.gray('→')} ${relative(plan.dir, destination)} (${policy})`);
+    lines.push(plan.migrate ? `${chalk.bold('Then:')}       ${plan.migrate}`
+                            : chalk.yellow('The database would not be updated'));
+    return lines.join('\n');
+}
+
+module.exports = {build, format, formatUpgrade};
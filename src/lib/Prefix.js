@@ -0,0 +1,167 @@
+'use strict';
+const SqlStream = require('./SqlStream');
+
+// Core LimeSurvey tables (without prefix) used to recognize the prefix of a dump
+const TABLES = new RegExp('^(.*?)(?:' + [
+    'answers', 'answer_l10ns', 'assessments', 'asset_version', 'boxes', 'conditions', 'defaultvalues',
+    'defaultvalue_l10ns', 'expression_errors', 'failed_login_attempts', 'groups', 'group_l10ns', 'labels',
+    'label_l10ns', 'labelsets', 'notifications', 'participants', 'participant_attribute\\w*', 'participant_shares',
+    'permissions', 'permissiontemplates', 'plugins', 'plugin_settings', 'questions', 'question_attributes',
+    'question_l10ns', 'question_themes', 'quota', 'quota_languagesettings', 'quota_members', 'saved_control',
+    'sessions', 'settings_global', 'settings_user', 'surveymenu', 'surveymenu_entries', 'surveys',
+    'surveys_groups', 'surveys_groupsettings', 'surveys_languagesettings', 'survey_links', 'survey_url_parameters',
+    'survey_\\d+(?:_timings)?', 'tokens_\\d+', 'old_(?:survey|tokens)_\\d+_\\d+(?:_timings)?', 'templates',
+    'template_configuration', 'tutorials', 'tutorial_entries', 'tutorial_entry_relation', 'user_groups',
+    'user_in_groups', 'user_in_permissionrole', 'users'
+].join('|') + ')$', 'i');
+
+// Keywords followed by table names (TABLE and TABLES by lists: DROP TABLE a, b / LOCK TABLES a WRITE, b READ)
+const POSITIONS = ['TABLE', 'TABLES', 'INTO', 'REFERENCES'];
+const SKIPPED   = ['IF', 'NOT', 'EXISTS', 'ONLY', 'IGNORE'];
+
+const LEXERS = {
+    mysql: /(?<skip>'(?:[^'\\]|\\[\s\S])*'|"(?:[^"\\]|\\[\s\S])*"|\/\*(?!!)[\s\S]*?\*\/|(?:--\s|#)[^\n]*)|`(?<quoted>(?:[^`]|``)+)`|(?<word>[A-Za-z_][\w$]*)|(?<punct>[,.;()])/g,
+    pgsql: /(?<skip>'(?:[^']|'')*'|\$(?<tag>\w*)\$[\s\S]*?\$\k<tag>\$|\/\*[\s\S]*?\*\/|--[^\n]*)|"(?<quoted>(?:[^"]|"")+)"|(?<word>[A-Za-z_][\w$]*)|(?<punct>[,.;()])/g
+};
+
+function lex(statement, dialect) {
+    const tokens = [];
+    for (const match of statement.matchAll(LEXERS[dialect] || LEXERS.mysql)) {
+        const {skip, quoted, word, punct} = match.groups;
+        if (skip === undefined)
+            tokens.push({index: match.index, length: match[0].length, punct, word, name: quoted || word});
+    }
+    return tokens;
+}
+
+/**
+ * Table names referenced by the tokens of a statement (after CREATE TABLE, INSERT INTO,
+ * REFERENCES...) and the ones it creates.
+ */
+function tables(tokens) {
+    const names = [], created = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const keyword = (tokens[i].word || '').toUpperCase();
+        if (!POSITIONS.includes(keyword))
+            continue;
+        const list = keyword.startsWith('TABLE');
+        let j      = i + 1;
+        do {
+            while (tokens[j] && SKIPPED.includes((tokens[j].word || '').toUpperCase()))
+                j++;
+            // schema.table
+            while (tokens[j + 1] && tokens[j + 1].punct === '.' && tokens[j + 2] && tokens[j + 2].name)
+                j += 2;
+            if (!tokens[j] || !tokens[j].name)
+                break;
+            names.push(tokens[j].name);
+            if (keyword === 'TABLE' && i > 0 && (tokens[i - 1].word || '').toUpperCase() === 'CREATE')
+                created.push(tokens[j].name);
+            // LOCK TABLES modes and aliases until the next table
+            while (list && tokens[++j] && !tokens[j].punct);
+        } while (list && tokens[j] && tokens[j].punct === ',' && ++j);
+    }
+    return {names, created};
+}
+
+/**
+ * Prefix of the first core LimeSurvey table of `names`, null if none is.
+ */
+function detect(names) {
+    for (const name of names) {
+        const match = TABLES.exec(name);
+        if (match)
+            return match[1];
+    }
+    return null;
+}
+
+/**
+ * Prefix of the tables of the dump `parts` (see Dump.parts()) detected from its first statements,
+ * null when none of them references a core LimeSurvey table.
+ */
+async function sniff(parts, {dialect = 'mysql', limit = 200} = {}) {
+    for (const part of parts) {
+        if (part.table) {
+            if (detect([part.table]) != null)
+                return detect([part.table]);
+            continue;
+        }
+        const input = await part.open(() => {});
+        try {
+            let count = 0;
+            for await (const statement of SqlStream.split(input, SqlStream.DIALECTS[dialect])) {
+                const found = detect(tables(lex(statement, dialect)).names);
+                if (found != null || ++count >= limit)
+                    return found;
+            }
+        } finally {
+            input.destroy();
+        }
+    }
+    return null;
+}
+
+/**
+ * Rewrites the prefix `from` (detected from the core LimeSurvey tables of the dump when null) of
+ * the tables of a dump to `to`, one statement at a time. Tables created without the prefix are
+ * left alone and reported.
+ */
+class Rewriter {
+    constructor({from = null, to, dialect = 'mysql'}) {
+        this.from       = from;
+        this.to         = to;
+        this.dialect    = dialect;
+        this.tables     = new Set();
+        this.rewritten  = new Map();
+        this.unprefixed = new Set();
+    }
+
+    /**
+     * Name of the table `name` once its prefix is rewritten.
+     */
+    rename(name) {
+        if (this.from == null)
+            this.from = detect([name]);
+        if (this.from == null || this.from === this.to)
+            return name;
+        if (!name.startsWith(this.from)) {
+            this.unprefixed.add(name);
+            return name;
+        }
+        const renamed = this.to + name.slice(this.from.length);
+        this.rewritten.set(name, renamed);
+        return renamed;
+    }
+
+    rewrite(statement) {
+        // the rows of an INSERT do not hold table names, only its head is scanned
+        const values           = /^\s*(?:INSERT|REPLACE)\b[\s\S]*?\bVALUES\b/i.exec(statement);
+        const tokens           = lex(values ? values[0] : statement, this.dialect);
+        const {names, created} = tables(tokens);
+        if (this.from == null)
+            this.from = detect(names);
+        if (this.from == null || this.from === this.to)
+            return statement;
+
+        for (const name of names)
+            if (name.startsWith(this.from) && name.length > this.from.length)
+                this.tables.add(name);
+        for (const name of created)
+            if (!this.tables.has(name))
+                this.unprefixed.add(name);
+
+        let result = statement;
+        for (const token of tokens.reverse()) {
+            if (!token.name || !this.tables.has(token.name))
+                continue;
+            const renamed = this.to + token.name.slice(this.from.length);
+            const text    = token.word ? renamed : statement[token.index] + renamed + statement[token.index];
+            this.rewritten.set(token.name, renamed);
+            result = result.slice(0, token.index) + text + result.slice(token.index + token.length);
+        }
+        return result;
+    }
+}
+
+module.exports = {TABLES, detect, sniff, Rewriter};
@@ -0,0 +1,72 @@
+'use strict';
+const {LsMergeError, InvalidOptionError} = require('./Errors');
+const Config                             = require('./Config');
+const Secrets                            = require('./Secrets');
+const prompts                            = require('prompts');
+const _                                  = require('lodash');
+
+// the default port and charset depend on the database type (see Database.TYPES), the default
+// database name on the checked out version
+const DEFAULTS = Object.freeze({
+    type: 'mysql',
+    host: 'localhost',
+    username: 'root',
+    password: '',
+    tablePrefix: 'sondage_'
+});
+
+function names(config) {
+    return Object.keys(config.profiles || {});
+}
+
+async function passphrase(interactive) {
+    if (process.env.LS_MERGE_PASSPHRASE != null)
+        return process.env.LS_MERGE_PASSPHRASE;
+    if (!interactive)
+        throw new LsMergeError('The LS_MERGE_PASSPHRASE environment variable must be set to decrypt '
+                               + 'the secret store with --no-interactive');
+    const {value} = await prompts({
+        type: 'invisible',
+        name: 'value',
+        message: `Passphrase of the secret store (${Secrets.SECRETS_FILE}):`
+    });
+    if (value == null)
+        throw new LsMergeError('No passphrase given');
+    return value;
+}
+
+/**
+ * Resolves a profile password reference: `{"env": "VAR_NAME"}` or `{"secret": "name"}` (see
+ * the `config store-secret <name>` command). Passwords written in clear text are refused.
+ */
+async function password(ref, {interactive = true} = {}) {
+    if (ref == null)
+        return undefined;
+    if (typeof ref !== 'object')
+        throw new LsMergeError(`Profile passwords cannot be written in clear text in ${Config.CONFIG_FILE}, `
+                               + 'use {"env": "VAR_NAME"} or {"secret": "name"} instead');
+    if (ref.env != null) {
+        if (process.env[ref.env] === undefined)
+            throw new LsMergeError(`The environment variable ${ref.env} is not set`);
+        return process.env[ref.env];
+    }
+    if (ref.secret != null)
+        return Secrets.get(ref.secret, await passphrase(interactive));
+    throw new LsMergeError(`Unknown password reference ${JSON.stringify(ref)}`);
+}
+
+/**
+ * Database settings of the profile `name` merged over the default ones.
+ */
+async function resolve(config, name, opts) {
+    if (name == null)
+        return Object.assign({}, DEFAULTS);
+    if (!names(config).includes(name))
+        throw new InvalidOptionError('profile', `no profile named "${name}" in ${Config.CONFIG_FILE}`);
+    const profile = config.profiles[name];
+    return Object.assign({}, DEFAULTS, _.omit(profile, 'password'), _.omitBy({
+        password: await password(profile.password, opts)
+    }, _.isNil));
+}
+
+module.exports = {DEFAULTS, names, passphrase, password, resolve};
@@ -0,0 +1,70 @@
+'use strict';
+const stripAnsi = require('strip-ansi');
+const TEXT      = Symbol('text');
+
+/**
+ * Stand-in for the Spinner reporting the progress of the steps to `onProgress` as {type, text}
+ * events, `type` being 'start', 'progress' (text updated while running), 'succeed', 'fail',
+ * 'warn' or 'info'.
+ */
+class Progress {
+    constructor(onProgress = () => {}) {
+        this.onProgress = onProgress;
+        this.isSpinning = false;
+        this[TEXT]      = '';
+    }
+
+    get text() {
+        return this[TEXT];
+    }
+
+    set text(value) {
+        this[TEXT] = value;
+        if (this.isSpinning)
+            this.emit('progress');
+    }
+
+    emit(type) {
+        this.onProgress({type, text: stripAnsi(String(this[TEXT]))});
+        return this;
+    }
+
+    start(text) {
+        if (text != null)
+            this[TEXT] = text;
+        this.isSpinning = true;
+        return this.emit('start');
+    }
+
+    stop() {
+        this.isSpinning = false;
+        return this;
+    }
+
+    stopAndPersist(type, opts) {
+        this.stop();
+        const text = typeof opts === 'string' ? opts : (opts || {}).text;
+        if (text != null)
+            this[TEXT] = text;
+        return this.emit(type);
+    }
+
+    succeed(opts) {
+        return this.stopAndPersist('succeed', opts);
+    }
+
+    fail(opts) {
+        return this.stopAndPersist('fail', opts);
+    }
+
+    warn(opts) {
+        return this.stopAndPersist('warn', opts);
+    }
+
+    info(opts) {
+        return this.stopAndPersist('info', opts);
+    }
+}
+
+module.exports          = onProgress => new Progress(onProgress);
+module.exports.Progress = Progress;
@@ -0,0 +1,81 @@
+'use strict';
+const {LsMergeError, MissingOptionError} = require('./Errors');
+const Database                           = require('./Database');
+const prompts                            = require('prompts');
+
+const IF_EXISTS = ['reuse', 'drop', 'abort'];
+
+async function promptIfExists(name) {
+    const {action} = await prompts({
+        type: 'select',
+        name: 'action',
+        message: `The database ${name} already exists`,
+        choices: [
+            {title: 'Reuse it as is', value: 'reuse'},
+            {title: 'Drop and recreate it', value: 'drop'},
+            {title: 'Abort', value: 'abort'}
+        ],
+        initial: 2
+    });
+    return action || 'abort';
+}
+
+/**
+ * Creates the database `settings.dbname` with its charset/collation and the dedicated user
+ * `settings.grant` through a connected `driver`. When the database exists, `ifExists` tells
+ * whether to reuse it, drop it first or abort (prompted when missing and `interactive`).
+ * Resolves to whether an empty database was created. The creation (dropped back by a rollback),
+ * the drop of the existing database and the dedicated user are recorded in `journal` when given.
+ */
+async function provision(driver, settings, {ifExists, interactive = true, spinner, journal}) {
+    const {dbname: name, charset, collation, grant} = settings;
+
+    spinner.start(`Creating database ${name}`);
+    let created = true;
+    if (await driver.exists(name)) {
+        spinner.stop();
+        if (ifExists == null && !interactive)
+            throw new MissingOptionError('if-db-exists', `the database ${name} already exists`);
+        switch (ifExists || await promptIfExists(name)) {
+            case 'reuse':
+                created = false;
+                spinner.warn(`Database ${name} already exists, it is reused as is`);
+                break;
+            case 'drop':
+                spinner.start(`Dropping database ${name}`);
+                await driver.drop(name);
+                if (journal)
+                    journal.record(`The previous database ${name} was dropped, it cannot be restored`);
+                break;
+            default:
+                throw new LsMergeError(`The database ${name} already exists`);
+        }
+    }
+    if (created) {
+        await driver.create(name, {charset, collation});
+        if (journal)
+            journal.record(`Drop the database ${name}`, async () => {
+                // the connection of the run may be closed or busy
+                const connection = Database.driver(settings);
+                await connection.connect();
+                try {
+                    await connection.drop(name);
+                } finally {
+                    await connection.end();
+                }
+            });
+        spinner.succeed(`Database ${name} created!`);
+    }
+
+    if (grant) {
+        if (journal)
+            journal.record(`The dedicated user ${grant.username} (created if needed) and its privileges on ${name} `
+                           + 'cannot be removed');
+        spinner.start(`Granting every privilege on ${name} to ${grant.username}`);
+        await driver.grant(name, {grant});
+        spinner.succeed(`Privileges granted to ${grant.username}!`);
+    }
+    return created;
+}
+
+module.exports = {IF_EXISTS, provision};
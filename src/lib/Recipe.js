@@ -0,0 +1,214 @@
+'use strict';
+const {promises: fsp}                                   = require('fs');
+const {extname, dirname, resolve, relative, isAbsolute} = require('path');
+const {RecipeError}                                     = require('./Errors');
+const {POLICIES}                                        = require('./Merge');
+const {TYPES}                                           = require('./Database');
+const {IF_EXISTS}                                       = require('./Provision');
+const {ON_EXISTING}                                     = require('./Output');
+const ConfigFile                                        = require('./ConfigFile');
+const YAML                                              = require('yaml');
+const _                                                 = require('lodash');
+
+const string = {type: 'string'};
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        repo: string,
+        tag: string,
+        tagRange: string,
+        baseTag: string,
+        profile: string,
+        out: string,
+        onExisting: {type: 'string', enum: ON_EXISTING},
+        db: {
+            type: 'object',
+            properties: {
+                type: {type: 'string', enum: Object.keys(TYPES)},
+                host: string,
+                port: {type: 'integer', min: 0, max: 65535},
+                dbname: string,
+                username: string,
+                passwordEnv: string,
+                tablePrefix: string,
+                charset: string,
+                collation: string,
+                ifExists: {type: 'string', enum: IF_EXISTS},
+                grant: {
+                    type: 'object',
+                    properties: {username: string, host: string, passwordEnv: string},
+                    required: ['username']
+                }
+            },
+            forbidden: {
+                password: 'secrets cannot be stored in a recipe, use "passwordEnv" instead'
+            }
+        },
+        source: {
+            type: 'object',
+            properties: {
+                host: string,
+                port: {type: 'integer', min: 0, max: 65535},
+                dbname: string,
+                username: string,
+                passwordEnv: string,
+                tablePrefix: string
+            },
+            required: ['dbname'],
+            forbidden: {
+                password: 'secrets cannot be stored in a recipe, use "passwordEnv" instead'
+            }
+        },
+        sql: string,
+        sqlEntry: string,
+        sqlPrefix: string,
+        migrate: {type: 'boolean'},
+        install: {
+            type: 'object',
+            properties: {username: string, passwordEnv: string, fullName: string, email: string},
+            forbidden: {
+                password: 'secrets cannot be stored in a recipe, use "passwordEnv" instead'
+            }
+        },
+        config: {type: 'object', values: {type: 'any'}},
+        merge: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {from: string, glob: string, to: string, policy: {type: 'string', enum: POLICIES}},
+                required: ['from', 'to']
+            }
+        }
+    }
+};
+
+function typeOf(node) {
+    if (YAML.isMap(node)) return 'object';
+    if (YAML.isSeq(node)) return 'array';
+    if (YAML.isScalar(node)) {
+        if (node.value === null) return 'null';
+        if (Number.isInteger(node.value)) return 'integer';
+        return typeof node.value;
+    }
+    return 'unknown';
+}
+
+function validate(node, schema, path, report) {
+    const type = typeOf(node);
+    if (schema.type === 'any')
+        return;
+    if (type !== schema.type && !(schema.type === 'number' && type === 'integer'))
+        return report(node, `${path || 'recipe'} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} `
+                            + `${schema.type} (got ${type})`);
+
+    if (schema.enum && !schema.enum.includes(node.value))
+        report(node, `${path} must be one of ${schema.enum.join(', ')}`);
+
+    if (type === 'integer' && ((schema.min != null && node.value < schema.min)
+                               || (schema.max != null && node.value > schema.max)))
+        report(node, `${path} must be between ${schema.min} and ${schema.max}`);
+
+    if (type === 'array')
+        node.items.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, report));
+
+    if (type === 'object') {
+        const keys = [];
+        for (const {key, value} of node.items) {
+            const name = String(key && key.value);
+            const at   = path ? `${path}.${name}` : name;
+            keys.push(name);
+            if (schema.forbidden && schema.forbidden[name])
+                report(key, `${at}: ${schema.forbidden[name]}`);
+            else if (schema.values)
+                validate(value, schema.values, at, report);
+            else if (!schema.properties[name])
+                report(key, `unknown property ${at}`);
+            else validate(value, schema.properties[name], at, report);
+        }
+        for (const name of schema.required || [])
+            if (!keys.includes(name))
+                report(node, `${path} is missing the required property "${name}"`);
+    }
+}
+
+function parse(source, file = 'recipe') {
+    const lineCounter = new YAML.LineCounter();
+    const doc         = YAML.parseDocument(source, {lineCounter, prettyErrors: false});
+    const errors      = [];
+    const report      = (node, message) => {
+        const {line, col} = lineCounter.linePos(node && node.range ? node.range[0] : 0);
+        errors.push({line, col, message});
+    };
+
+    for (const err of doc.errors)
+        report({range: err.pos}, err.message.split('\n')[0]);
+    if (!errors.length)
+        validate(doc.contents, SCHEMA, '', report);
+    if (errors.length)
+        throw new RecipeError(file, errors);
+
+    return doc.toJS();
+}
+
+async function load(file) {
+    const recipe = parse(await fsp.readFile(file, 'utf8'), file);
+    const base   = dirname(resolve(file));
+    const abs    = p => resolve(base, p);
+    return {
+        repo: recipe.repo,
+        tag: recipe.tag,
+        tagRange: recipe.tagRange,
+        baseTag: recipe.baseTag,
+        profile: recipe.profile,
+        out: recipe.out != null ? abs(recipe.out) : undefined,
+        onExisting: recipe.onExisting,
+        db: recipe.db || {},
+        source: recipe.source || {},
+        sql: recipe.sql != null ? abs(recipe.sql) : undefined,
+        sqlEntry: recipe.sqlEntry,
+        sqlPrefix: recipe.sqlPrefix,
+        migrate: recipe.migrate,
+        install: recipe.install,
+        config: ConfigFile.flatten(recipe.config),
+        merge: (recipe.merge || []).map(({from, glob, to, policy}) => ({
+            dirFrom: abs(from),
+            globFrom: glob || '**/*',
+            to,
+            policy
+        }))
+    };
+}
+
+async function save(file, {repo, tag, baseTag, profile, out, onExisting, db, source, sql, sqlEntry, sqlPrefix,
+                           migrate, install, config, merge}) {
+    const base = dirname(resolve(file));
+    const rel  = p => {
+        const path = relative(base, p);
+        return isAbsolute(path) ? path : path.replace(/\\/g, '/') || '.';
+    };
+    const recipe = _.omitBy({repo, tag, baseTag, profile, out: out && rel(out), onExisting}, _.isNil);
+    if (db) {
+        recipe.db = _.omitBy(_.pick(db, ['type', 'host', 'port', 'dbname', 'username', 'passwordEnv', 'tablePrefix',
+                                         'charset', 'collation', 'ifExists']), _.isNil);
+        if (db.grant)
+            recipe.db.grant = _.omitBy(_.pick(db.grant, ['username', 'host', 'passwordEnv']), _.isNil);
+    }
+    if (source)
+        recipe.source = _.omitBy(_.pick(source, ['host', 'port', 'dbname', 'username', 'passwordEnv',
+                                                 'tablePrefix']), v => v == null || v === '');
+    if (sql) recipe.sql = rel(sql);
+    if (sql && sqlEntry != null) recipe.sqlEntry = sqlEntry;
+    if (sql && sqlPrefix != null) recipe.sqlPrefix = sqlPrefix;
+    if (migrate != null) recipe.migrate = migrate;
+    if (install)
+        recipe.install = _.omitBy(_.pick(install, ['username', 'passwordEnv', 'fullName', 'email']), _.isNil);
+    if (!_.isEmpty(config)) recipe.config = config;
+    recipe.merge = (merge || []).map(({dirFrom, globFrom, to, policy}) =>
+        _.omitBy({from: rel(dirFrom), glob: globFrom, to, policy}, _.isNil));
+
+    await fsp.writeFile(file, ['.yml', '.yaml'].includes(extname(file).toLowerCase())
+                              ? YAML.stringify(recipe)
+                              : JSON.stringify(recipe, null, 4) + '\n');
+}
+
+module.exports = {SCHEMA, parse, load, save};
@@ -0,0 +1,52 @@
+'use strict';
+const {randomBytes, scryptSync, createCipheriv, createDecipheriv} = require('crypto');
+const {join}                                                      = require('path');
+const {LsMergeError}                                              = require('./Errors');
+const Config                                                      = require('./Config');
+
+// Passwords are encrypted with AES-256-GCM using a key derived (scrypt) from a passphrase which
+// is never stored, so the file can be kept as is on any OS.
+const SECRETS_FILE = join(Config.CONFIG_DIR, 'secrets.json');
+const ALGORITHM    = 'aes-256-gcm';
+
+const key = (passphrase, salt) => scryptSync(String(passphrase), Buffer.from(salt, 'base64'), 32);
+
+async function load() {
+    return Config.readJSON(SECRETS_FILE, {salt: randomBytes(16).toString('base64'), entries: {}});
+}
+
+async function get(name, passphrase) {
+    const store = await load();
+    const entry = store.entries[name];
+    if (!entry)
+        throw new LsMergeError(`No secret named "${name}" in ${SECRETS_FILE}`);
+    try {
+        const decipher = createDecipheriv(ALGORITHM, key(passphrase, store.salt),
+            Buffer.from(entry.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(entry.data, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    } catch (err) {
+        throw new LsMergeError(`Could not decrypt the secret "${name}": wrong passphrase?`);
+    }
+}
+
+async function set(name, value, passphrase) {
+    const store  = await load();
+    const [used] = Object.keys(store.entries);
+    if (used) // fails if the passphrase differs from the one of the stored secrets
+        await get(used, passphrase);
+    const iv     = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, key(passphrase, store.salt), iv);
+    const data   = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    store.entries[name] = {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+    await Config.writeJSON(SECRETS_FILE, store);
+}
+
+module.exports = {SECRETS_FILE, get, set};
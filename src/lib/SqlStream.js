@@ -0,0 +1,214 @@
+'use strict';
+const {StringDecoder}                    = require('string_decoder');
+const {LsMergeError, InvalidOptionError} = require('./Errors');
+const {formatBytes, formatDuration}      = require('./Utils');
+const Abort                              = require('./Abort');
+
+/**
+ * Lexical rules of the dumps of each database type.
+ */
+const DIALECTS = {
+    mysql: {backslashEscapes: true, hashComments: true, dollarQuotes: false},
+    pgsql: {backslashEscapes: false, hashComments: false, dollarQuotes: true}
+};
+
+// data block of plain pg_dump output, its raw rows (up to \.) following the statement
+const COPY_FROM_STDIN = /^COPY\s[\s\S]*\sFROM\s+stdin\s*$/i;
+
+const escapeRegExp = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits the SQL read from `stream` into statements without loading it whole: quoted strings,
+ * identifiers, comments, PostgreSQL dollar quotes and the `DELIMITER` directives of the mysql
+ * client are honoured. Comments preceding a statement are dropped (MySQL executable comments
+ * `/*!...*\/` are kept).
+ */
+async function* split(stream, options = {}) {
+    const {backslashEscapes = true, hashComments = true, dollarQuotes = false} = options;
+    let delimiter = options.delimiter || ';';
+    const chunks  = stream[Symbol.asyncIterator]();
+    const decoder = new StringDecoder('utf8');
+    let buffer    = '';
+    let pos       = 0;     // scanned part of the current statement
+    let close     = null;  // end of the string or comment being scanned
+    let comment   = false; // whether it is a comment
+    let empty     = true;  // whether the current statement only holds comments so far
+    let ended     = false;
+
+    const more = async () => {
+        const {value, done} = await chunks.next();
+        if (done) {
+            ended = true;
+            buffer += decoder.end();
+        } else
+            buffer += typeof value === 'string' ? value : decoder.write(value);
+    };
+    const token = () => new RegExp(['[\'"`]', '--', '\\/\\*', hashComments ? '#' : null,
+                                    dollarQuotes ? '\\$(?:[A-Za-z_]\\w*)?\\$' : null,
+                                    escapeRegExp(delimiter)].filter(Boolean).join('|'), 'g');
+    let tokens = token();
+
+    // index following the end of the current string/comment, -1 when it is not read yet
+    const closing = () => {
+        if (!/^['"`]$/.test(close)) {
+            const i = buffer.indexOf(close, pos);
+            if (i < 0)
+                pos = Math.max(pos, buffer.length - close.length + 1);
+            return i < 0 ? -1 : i + close.length;
+        }
+        const escapes = backslashEscapes && close !== '`';
+        let i         = pos;
+        while (i < buffer.length) {
+            if (escapes && buffer[i] === '\\') {
+                if (i + 1 >= buffer.length)
+                    break;
+                i += 2;
+            } else if (buffer[i++] === close)
+                return i;
+        }
+        pos = i;
+        return -1;
+    };
+
+    for (;;) {
+        if (close) {
+            const end = closing();
+            if (end < 0 && !ended) {
+                await more();
+                continue;
+            }
+            pos   = end < 0 ? buffer.length : end;
+            close = null;
+            if (comment && empty) {
+                buffer = buffer.slice(pos);
+                pos    = 0;
+            }
+            continue;
+        }
+
+        if (pos === 0) {
+            buffer = buffer.replace(/^\s+/, '');
+            if (!ended && (buffer.length < 10 || (/^delimiter\s/i.test(buffer) && !buffer.includes('\n')))) {
+                await more();
+                continue;
+            }
+            const directive = /^delimiter[ \t]+(\S+)[^\n]*(?:\n|$)/i.exec(buffer);
+            if (directive) {
+                delimiter = directive[1];
+                tokens    = token();
+                buffer    = buffer.slice(directive[0].length);
+                continue;
+            }
+            if (ended && !buffer)
+                return;
+        }
+
+        tokens.lastIndex = pos;
+        const match      = tokens.exec(buffer);
+        if (!match) {
+            if (!ended) {
+                pos = Math.max(pos, buffer.length - 64);
+                await more();
+                continue;
+            }
+            if (/\S/.test(buffer))
+                yield buffer;
+            return;
+        }
+
+        const [text] = match;
+        if (/\S/.test(buffer.slice(pos, match.index)))
+            empty = false;
+        if (text === delimiter) {
+            const statement = buffer.slice(0, match.index);
+            buffer          = buffer.slice(match.index + text.length);
+            pos             = 0;
+            if (!empty)
+                yield statement;
+            empty = true;
+        } else if (text === '--' || text === '#') {
+            const next = buffer[match.index + text.length];
+            if (text === '--' && next === undefined && !ended) {
+                pos = match.index;
+                await more();
+            } else if (text === '--' && next !== undefined && !/\s/.test(next)) {
+                empty = false;
+                pos   = match.index + 1;
+            } else {
+                [close, comment, pos] = ['\n', true, match.index + text.length];
+            }
+        } else if (text === '/*') {
+            if (buffer.length < match.index + 3 && !ended) {
+                pos = match.index;
+                await more();
+                continue;
+            }
+            if (buffer[match.index + 2] === '!')
+                empty = false;
+            [close, comment, pos] = ['*/', true, match.index + 2];
+        } else {
+            empty                 = false;
+            [close, comment, pos] = [text, false, match.index + text.length];
+        }
+    }
+}
+
+/**
+ * Runs every statement of the dump `parts` (see Dump.parts()) through a connected database
+ * driver, reporting the progress ({bytes, size, statements, elapsed, eta} in ms) to `onProgress`.
+ * The table names are rewritten by `rewriter` (see Prefix.Rewriter) when given. The COPY data
+ * blocks of plain pg_dump output are refused. The import stops between two statements when
+ * `abort` is aborted.
+ */
+async function run(driver, parts, {dialect = DIALECTS.mysql, rewriter = null, onProgress = () => {},
+                                   abort = Abort()} = {}) {
+    const size    = parts.reduce((sum, part) => sum + part.size, 0);
+    const started = Date.now();
+    let bytes     = 0, statements = 0;
+    const report  = () => {
+        const elapsed = Date.now() - started;
+        onProgress({bytes, size, statements, elapsed,
+                    eta: bytes ? elapsed * Math.max(size - bytes, 0) / bytes : null});
+    };
+
+    for (const part of parts) {
+        abort.check();
+        if (part.table) {
+            if (!driver.load)
+                throw new LsMergeError(`The data file ${part.name} can only be loaded into a MySQL database`);
+            await driver.load(part.path, rewriter ? rewriter.rename(part.table) : part.table);
+            bytes += part.size;
+            statements++;
+            report();
+            continue;
+        }
+        // parts copied from another database yield their statements (see Database drivers' copy())
+        const input = part.statements ? null : await part.open(count => bytes += count);
+        try {
+            for await (const statement of input ? split(input, dialect) : part.statements()) {
+                abort.check();
+                if (input && COPY_FROM_STDIN.test(statement))
+                    throw new InvalidOptionError('sql', `${part.name} loads its tables with COPY ... FROM stdin, `
+                                                        + 'dump the database with pg_dump --inserts instead');
+                await driver.query(rewriter ? rewriter.rewrite(statement) : statement);
+                if (!input)
+                    bytes += Buffer.byteLength(statement);
+                statements++;
+                report();
+            }
+        } finally {
+            if (input)
+                input.destroy();
+        }
+    }
+    return {size, statements, elapsed: Date.now() - started};
+}
+
+function progress({bytes, size, statements, eta}) {
+    // the size of copied tables is only an estimate
+    const percent = size ? Math.min(Math.floor(100 * bytes / size), 100) : 100;
+    return `${formatBytes(bytes)} / ${formatBytes(size)} (${percent}%), `
+           + `${statements} statement(s)` + (eta != null ? `, ETA ${formatDuration(eta)}` : '');
+}
+
+module.exports = {DIALECTS, split, run, progress};
@@ -0,0 +1,333 @@
+'use strict';
+const {promises: fsp, existsSync: exists} = require('fs');
+const {join}                              = require('path');
+const Abort                               = require('./Abort');
+const Cache                               = require('./Cache');
+const ConfigFile                          = require('./ConfigFile');
+const Console                             = require('./Console');
+const Database                            = require('./Database');
+const Diff                                = require('./Diff');
+const Dump                                = require('./Dump');
+const Merge                               = require('./Merge');
+const Output                              = require('./Output');
+const Prefix                              = require('./Prefix');
+const Provision                           = require('./Provision');
+const SqlStream                           = require('./SqlStream');
+const {formatDuration}                    = require('./Utils');
+const _                                   = require('lodash');
+
+/*
+ * Steps of a merge, each of them runnable on its own: checkout(), copy(), configure(),
+ * createDatabase(), importDatabase(), migrate() and install(), chained by run(). They report
+ * their progress through `spinner`, record what they do in `journal` to be rolled back and stop
+ * (killing their child processes) when `abort` is aborted.
+ */
+
+const UPSTREAM = 'https://github.com/LimeSurvey/LimeSurvey.git';
+// prefix of the default limesurvey directories and database names
+const PREFIX   = 'limesurvey-';
+
+/**
+ * Default name of the limesurvey directory (and database) of the tag/version `ref`.
+ */
+function defaultName(ref) {
+    return PREFIX + ref.replace(/\+|_plus_/g, 'b').replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Database settings {type, host, port, dbname, username, password, tablePrefix, charset,
+ * collation, grant} completed with the defaults of their type, along with their PDO
+ * `connectionString`.
+ */
+function database(settings) {
+    const type = Database.TYPES[settings.type];
+    return Object.defineProperties(Object.assign({}, settings, {
+        port: settings.port || type.port,
+        charset: settings.charset || type.charset,
+        // the default collation only goes with the default charset
+        collation: settings.collation || (settings.charset ? undefined : type.collation)
+    }), {
+        connectionString: {
+            get() { return Database.TYPES[this.type].dsn(this); }
+        },
+        prefix: {
+            get() { return this.tablePrefix; }
+        }
+    });
+}
+
+/**
+ * Opens the cache of `repository`, fetching its new tags when `fetch` or when `ref` is not in it
+ * yet, and resolves to {cache, refs}.
+ */
+async function open({repository = UPSTREAM, cacheDir, fetch = false, ref, spinner}) {
+    const cache = Cache({dir: cacheDir, repository, spinner});
+    const refs  = await cache.withLock(async () => {
+        await cache.open();
+        if (fetch || (ref != null && !(await cache.has(ref))))
+            await cache.fetch();
+        return {branches: await cache.branches(), tags: await cache.tags(), dates: await cache.dates()};
+    });
+    return {cache, refs};
+}
+
+/**
+ * Checks out the tag/version `ref` of `cache` into `outDir`, readied beforehand according to
+ * `onExisting` (see Output.prepare()).
+ */
+async function checkout(cache, ref, outDir, {onExisting, keepGit = false, journal, spinner, abort = Abort()}) {
+    await cache.withLock(async () => {
+        await Output.prepare(outDir, onExisting, {journal, spinner});
+        abort.check();
+        spinner.start(`Checking out limesurvey@${ref} into ${outDir}`);
+        await cache.export(ref, outDir, {keepGit, abort});
+        spinner.succeed(`limesurvey@${ref} checked out!`);
+    });
+}
+
+/**
+ * Copies the files of the `mappings` into `outDir` and resolves to the ones which already
+ * existed, handled according to their policy (merged three-way with the tag/version `base` of
+ * `cache`).
+ */
+async function copy(mappings, outDir, {policy, dots = false, interactive = true, cache, base, spinner,
+                                        abort = Abort()}) {
+    const files     = await Merge.plan(mappings, outDir, {dots, policy});
+    const conflicts = await Merge.resolveConflicts(files, {
+        interactive,
+        base: base != null && (path => cache.withLock(() => cache.read(base, path)))
+    });
+    if (conflicts.length)
+        spinner.warn(`${conflicts.length} file(s) already exist in ${outDir}:\n` + Merge.report(conflicts, outDir));
+    abort.check();
+    spinner.start(`Copying selected files/folders to ${outDir}`);
+    await Merge.apply(files);
+    spinner.succeed(`Selected files/folders copied!`);
+    return conflicts;
+}
+
+/**
+ * Writes the database settings `db` (when given) and the `overrides` into the config.php of the
+ * limesurvey directory `dir`, created from the sample of the database type when missing.
+ * Resolves to the diff of the changes, null when nothing changed or there is no config.php.
+ */
+async function configure(dir, db, overrides = {}, {spinner}) {
+    spinner.start(`Updating config.php file`);
+    const file   = join(dir, ConfigFile.CONFIG);
+    const sample = db && join(dir, ConfigFile.sample(db.type));
+    if (!exists(file) && sample && exists(sample))
+        await fsp.copyFile(sample, file);
+    if (!exists(file)) {
+        spinner.fail('Config file not found!');
+        return null;
+    }
+    const original = await fsp.readFile(file, {encoding: 'utf8'});
+    const updated  = ConfigFile.apply(original, Object.assign(db ? ConfigFile.database(db) : {}, overrides));
+    await fsp.writeFile(file, updated);
+    spinner.succeed('Config file updated!');
+    return Diff.changes(ConfigFile.CONFIG, original, updated);
+}
+
+/**
+ * Connected driver of the database server of `settings`, using the database `dbname` if given.
+ */
+async function connect(settings, dbname = null) {
+    const connection = Database.driver(settings);
+    await connection.connect();
+    try {
+        if (dbname != null)
+            await connection.use(dbname);
+    } catch (err) {
+        await connection.end();
+        throw err;
+    }
+    return connection;
+}
+
+/**
+ * Creates the database of `db` (see Provision.provision()) and resolves to whether an empty
+ * database was created.
+ */
+async function createDatabase(db, {ifExists, interactive = true, spinner, journal}) {
+    const connection = await connect(db);
+    try {
+        return await Provision.provision(connection, db, {ifExists, interactive, spinner, journal});
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * What importDatabase() fills the database with: the SQL dump `sqlFile` or the database `source`.
+ */
+function describeSource({sqlFile, source}) {
+    return sqlFile ? `SQL file (${sqlFile})`
+                   : source && `database ${source.dbname} (${source.host}:${source.port})`;
+}
+
+/**
+ * Fills the database of `db` with the SQL dump `sqlFile` (its `sqlEntry` when it is a zip) or a
+ * copy of the database `source` (its tables prefixed by `source.tablePrefix`), the table prefix
+ * `from` (detected from the LimeSurvey tables when null) being rewritten to the one of `db`.
+ * Resolves to {statements, elapsed, rewritten, unprefixed}: the tables renamed (old name → new
+ * name) and the ones left alone.
+ */
+async function importDatabase(db, {sqlFile, sqlEntry, source, from = null, spinner, abort = Abort()}) {
+    const label      = describeSource({sqlFile, source});
+    const connection = await connect(db, db.dbname);
+    let srcConnection;
+    try {
+        srcConnection = source && await connect(source, source.dbname);
+        spinner.start(`Importing ${label}`);
+        const parts    = srcConnection ? await srcConnection.copy(source.tablePrefix)
+                                       : await Dump.parts(sqlFile, {entry: sqlEntry});
+        const rewriter = new Prefix.Rewriter({from, to: db.tablePrefix, dialect: db.type});
+        const {statements, elapsed} = await SqlStream.run(connection, parts, {
+            dialect: SqlStream.DIALECTS[db.type],
+            rewriter,
+            abort,
+            onProgress(progress) {
+                spinner.text = `Importing ${label}: ${SqlStream.progress(progress)}`;
+            }
+        });
+        spinner.succeed(`${_.upperFirst(label)} imported! (${statements} statement(s) in `
+                        + `${formatDuration(elapsed)})`);
+        if (rewriter.rewritten.size)
+            spinner.info(`Tables renamed from the prefix "${rewriter.from}" to "${rewriter.to}":\n`
+                         + [...rewriter.rewritten].map(([from, to]) => `\t${from} → ${to}`).join('\n'));
+        else if (rewriter.from == null)
+            spinner.warn(`No LimeSurvey table found in the ${label}, its table names were kept`);
+        if (rewriter.unprefixed.size)
+            spinner.warn(`Tables without the prefix "${rewriter.from}" left alone: `
+                         + [...rewriter.unprefixed].join(', '));
+        return {
+            statements,
+            elapsed,
+            rewritten: _.fromPairs([...rewriter.rewritten]),
+            unprefixed: [...rewriter.unprefixed]
+        };
+    } finally {
+        await connection.end();
+        if (srcConnection)
+            await srcConnection.end();
+    }
+}
+
+/**
+ * Runs the database migrations of the limesurvey directory `dir` (whose config.php points to
+ * the database of `db`) and resolves to {before, after, output}, null when LimeSurvey is not
+ * installed in the database. The migrations, which cannot be undone, are recorded in `journal`
+ * when given.
+ */
+async function migrate(dir, db, {php, spinner, abort = Abort(), journal = null}) {
+    const connection = await connect(db, db.dbname);
+    try {
+        const before = await connection.dbVersion(db.tablePrefix);
+        if (before == null) {
+            spinner.warn(`LimeSurvey is not installed in the database ${db.dbname}, its migrations are skipped`);
+            return null;
+        }
+        if (journal)
+            journal.record(`The database migrations run by updatedb on ${db.dbname} cannot be undone`);
+        spinner.start(`Running the database migrations (version ${before})`);
+        const output = await Console.run(dir, 'updatedb', [], {php, abort});
+        const after  = await connection.dbVersion(db.tablePrefix);
+        spinner.succeed(after === before ? `Database already up to date (version ${before})`
+                                         : `Database migrated from version ${before} to ${after}!`);
+        return {before, after, output};
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Installs LimeSurvey in the database of `db` with the console of the limesurvey directory `dir`,
+ * creating the administrator `admin` ({username, password, fullName, email}). Resolves to
+ * {output}, null when LimeSurvey is already installed in the database.
+ */
+async function install(dir, db, admin, {php, spinner, abort = Abort()}) {
+    if (Database.hasDriver(db.type)) {
+        const connection = await connect(db, db.dbname);
+        let installed;
+        try {
+            installed = await connection.dbVersion(db.tablePrefix);
+        } finally {
+            await connection.end();
+        }
+        if (installed != null) {
+            spinner.warn(`LimeSurvey is already installed in the database ${db.dbname} (version ${installed}), `
+                         + 'it is not installed again');
+            return null;
+        }
+    }
+    spinner.start('Installing LimeSurvey');
+    const output = await Console.run(dir, 'install', [admin.username, admin.password, admin.fullName, admin.email],
+                                     {php, abort});
+    spinner.succeed(`LimeSurvey installed! (administrator: ${admin.username})`);
+    return {output};
+}
+
+/**
+ * Runs the steps of a merge: checks out the tag/version `ref` of `cache` into `outDir`, copies
+ * the files of the `mappings` into it, configures it then creates, fills (`sqlFile` or `source`),
+ * migrates (`migrate`) and installs (`admin`) the database of `db` when given. The run goes on
+ * without config.php only when `onMissingConfig()` resolves to true.
+ * Resolves to {conflicts, configDiff, created, imported, migrated, installed}, the database ones
+ * being null when skipped.
+ */
+async function run({
+    cache, ref, outDir, onExisting, keepGit = false, mappings = [], policy, base, dots = false, db = null,
+    overrides = {}, ifExists, sqlFile = null, sqlEntry, source = null, from = null, migrate: migrates = false,
+    admin = null, php
+}, {interactive = true, journal, spinner, abort = Abort(), onMissingConfig = async () => true}) {
+    const result = {conflicts: [], configDiff: null, created: null, imported: null, migrated: null, installed: null};
+    await checkout(cache, ref, outDir, {onExisting, keepGit, journal, spinner, abort});
+    if (mappings.length)
+        result.conflicts = await copy(mappings, outDir, {policy, dots, interactive, cache, base, spinner, abort});
+    abort.check();
+    result.configDiff = await configure(outDir, db, overrides, {spinner});
+    if (!db || (!exists(join(outDir, ConfigFile.CONFIG)) && !(await onMissingConfig())))
+        return result;
+
+    if (!Database.hasDriver(db.type))
+        spinner.warn(`${Database.TYPES[db.type].title} databases cannot be created `
+                     + `by ls-merge, create the database ${db.dbname} manually`);
+    else {
+        const label    = describeSource({sqlFile, source});
+        abort.check();
+        result.created = await createDatabase(db, {ifExists, interactive, spinner, journal});
+        if (label && !result.created)
+            spinner.warn(`The ${label} is not imported in the reused database`);
+        else if (label)
+            result.imported = await importDatabase(db, {sqlFile, sqlEntry, source, from, spinner, abort});
+        // a created database is dropped along with its migrations
+        if (migrates)
+            result.migrated = await migrate(outDir, db, {
+                php,
+                spinner,
+                abort,
+                journal: result.created ? null : journal
+            });
+    }
+    if (admin)
+        result.installed = await install(outDir, db, admin, {php, spinner, abort});
+    return result;
+}
+
+module.exports = {
+    UPSTREAM,
+    PREFIX,
+    defaultName,
+    database,
+    open,
+    checkout,
+    copy,
+    configure,
+    connect,
+    createDatabase,
+    describeSource,
+    importDatabase,
+    migrate,
+    install,
+    run
+};
@@ -0,0 +1,85 @@
+'use strict';
+const {promises: fsp, existsSync: exists, readdirSync: readdir} = require('fs');
+const {join}                                                    = require('path');
+const {copy}                                                    = require('fs-extra');
+const {LsMergeError}                                            = require('./Errors');
+const ConfigFile                                                = require('./ConfigFile');
+const Versions                                                  = require('./Versions');
+const semver                                                    = require('semver');
+
+const VERSION_FILE = 'application/config/version.php';
+
+// paths of an installation kept by an upgrade, along with its custom themes (see preserved())
+const PRESERVED = [ConfigFile.CONFIG, 'upload', 'plugins'];
+const THEMES    = ['themes/admin', 'themes/question', 'themes/survey'];
+
+/**
+ * Version of the LimeSurvey installed in `dir` read from its version.php: {versionnumber,
+ * buildnumber, dbversionnumber}.
+ */
+async function installed(dir) {
+    const file = join(dir, VERSION_FILE);
+    if (!exists(file))
+        throw new LsMergeError(`${dir} is not a LimeSurvey installation (${VERSION_FILE} not found)`);
+    const source  = await fsp.readFile(file, 'utf8');
+    const version = {};
+    for (const [, , key, , string, number] of
+        source.matchAll(/\$config\[\s*(['"])(\w+)\1\s*\]\s*=\s*(?:(['"])(.*?)\3|(-?\d+))/g))
+        version[key] = string !== undefined ? string : Number(number);
+    if (version.versionnumber == null)
+        throw new LsMergeError(`No versionnumber found in ${file}`);
+    return version;
+}
+
+/**
+ * Tag of `tags` the installed `version` was checked out from (e.g. 3.15.0+181008), null when
+ * none matches.
+ */
+function tagOf(tags, {versionnumber, buildnumber}) {
+    const current = Versions.parse(String(versionnumber));
+    if (!current)
+        return null;
+    const candidates = Versions.list(tags).filter(v => v.version === current.version);
+    const build      = candidates.find(v => buildnumber && v.tag.includes(String(buildnumber)));
+    return build ? build.tag : candidates.length === 1 ? candidates[0].tag : null;
+}
+
+/**
+ * Whether the tag `tag` is newer than the installed `version` (true when it is not a version).
+ */
+function isNewer(tag, {versionnumber}) {
+    const target  = Versions.parse(tag);
+    const current = Versions.parse(String(versionnumber));
+    return !target || !current || semver.gt(target.version, current.version);
+}
+
+/**
+ * Paths (relative to the installation `dir`) kept by an upgrade to a version made of `files`:
+ * config.php, upload/, plugins/ and the themes the new version does not provide.
+ */
+function preserved(dir, files) {
+    const provided = new Set(files.map(file => file.split('/').slice(0, 3).join('/')));
+    return PRESERVED.filter(path => exists(join(dir, path)))
+        .concat(...THEMES.filter(path => exists(join(dir, path)))
+            .map(path => readdir(join(dir, path)).map(name => `${path}/${name}`))
+            .map(themes => themes.filter(theme => !provided.has(theme))));
+}
+
+/**
+ * Top-level entries of the installation `dir` replaced by the new version, the `preserved`
+ * paths they hold being restored.
+ */
+function replaced(dir, preserved) {
+    return readdir(dir).filter(name => !preserved.includes(name)).sort();
+}
+
+/**
+ * Copies the `preserved` paths of the installation moved to `from` into the new version
+ * checked out in `to`, over the files of the new version.
+ */
+async function restore(from, to, preserved) {
+    for (const path of preserved)
+        await copy(join(from, path), join(to, path), {overwrite: true, preserveTimestamps: true});
+}
+
+module.exports = {VERSION_FILE, PRESERVED, installed, tagOf, isNewer, preserved, replaced, restore};
@@ -5,4 +5,17 @@ module.exports.isAsyncFunction = func => {
     return func != null
         && (func[Symbol.toStringTag] === 'AsyncFunction'
             || func instanceof AsyncFunction);
-};
\ No newline at end of file
+};
+module.exports.formatBytes = bytes => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let i       = 0;
+    for (; bytes >= 1024 && i < units.length - 1; i++)
+        bytes /= 1024;
+    return `${i ? bytes.toFixed(1) : bytes} ${units[i]}`;
+};
+module.exports.formatDuration = ms => {
+    const seconds = Math.round(ms / 1000);
+    const hours   = Math.floor(seconds / 3600);
+    const minutes = String(Math.floor(seconds / 60) % 60);
+    return (hours ? `${hours}:${minutes.padStart(2, '0')}` : minutes) + ':' + String(seconds % 60).padStart(2, '0');
+};
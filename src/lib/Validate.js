@@ -0,0 +1,96 @@
+'use strict';
+const {existsSync: exists}                     = require('fs');
+const {resolve}                                = require('path');
+const Database                                 = require('./Database');
+const Dump                                     = require('./Dump');
+const {POLICIES}                               = require('./Merge');
+const Output                                   = require('./Output');
+const Versions                                 = require('./Versions');
+const {MissingOptionError, InvalidOptionError} = require('./Errors');
+
+/*
+ * Checks of the values of a run shared by the command line and the API, their errors being
+ * named after the command line arguments.
+ */
+
+function choice(option, value, choices) {
+    if (value != null && !choices.includes(value))
+        throw new InvalidOptionError(option, `"${value}" is not one of ${choices.join(', ')}`);
+    return value;
+}
+
+/**
+ * Resolves to `ref` when it is a tag, a branch or a commit of `cache`.
+ */
+async function ref(cache, ref, option = 'tag') {
+    if (!(await cache.withLock(() => cache.has(ref))))
+        throw new InvalidOptionError(option, `"${ref}" is neither a tag, a branch nor a commit of ${cache.repository}`);
+    return ref;
+}
+
+/**
+ * Conflict policy of the merge mappings: `onConflict`, merging three-way with the base tag
+ * `baseTag` by default when given.
+ */
+function policy(onConflict, baseTag) {
+    return choice('on-conflict', onConflict, POLICIES) || (baseTag != null ? 'merge' : 'overwrite');
+}
+
+/**
+ * Newest of the `tags` of `cache` matching the semver `range` (see Versions.newest()).
+ */
+function newest(cache, tags, range, options) {
+    const tag = Versions.newest(tags, range, options);
+    if (tag == null)
+        throw new InvalidOptionError('tag-range', `no tag of ${cache.repository} matches "${range}"`);
+    return tag;
+}
+
+/**
+ * Checks what to do with the output directory `outDir` when it exists (`onExisting`).
+ */
+function output(outDir, onExisting, {keepGit = false} = {}) {
+    choice('on-existing', onExisting, Output.ON_EXISTING);
+    if (!exists(outDir))
+        return outDir;
+    if (onExisting == null)
+        throw new MissingOptionError('on-existing', `${outDir} already exists`);
+    if (onExisting === 'merge' && keepGit)
+        throw new InvalidOptionError('on-existing', 'limesurvey cannot be checked out into an existing '
+                                                    + 'directory with --keep-git');
+    return outDir;
+}
+
+/**
+ * Absolute path of the SQL dump `sql`.
+ */
+function dump(sql) {
+    if (!Dump.isDump(sql))
+        throw new InvalidOptionError('sql', `"${sql}" is not an SQL dump (.sql, .sql.gz, .sql.bz2, .zip or dump `
+                                            + 'directory)');
+    return resolve(sql);
+}
+
+/**
+ * Checks what fills a database of type `type`: the SQL dump `sql` or a copy of another database
+ * (when `source`), not both nor along with `install`. The database type must have a driver,
+ * unless nothing fills the database and it may be left `empty`.
+ */
+function fill(type, {sql = null, source = false, install = false, empty = true} = {}) {
+    const {title} = Database.TYPES[choice('db-type', type, Object.keys(Database.TYPES))];
+    if (sql != null && source)
+        throw new InvalidOptionError('src-db-name', 'a database cannot be copied along with an --sql dump');
+    if (install && (sql != null || source))
+        throw new InvalidOptionError('install', 'LimeSurvey can only be installed in an empty database, not '
+                                                + `along with --${sql != null ? 'sql' : 'src-db-name'}`);
+    if (!Database.hasDriver(type)) {
+        const option = sql != null ? 'sql' : source ? 'src-db-name' : !empty && 'db-type';
+        if (option)
+            throw new InvalidOptionError(option, `${title} databases cannot be filled by ls-merge, import into `
+                                                 + 'them manually');
+    }
+    if (source && !Database.canCopy(type))
+        throw new InvalidOptionError('src-db-name', `${title} databases cannot be copied`);
+}
+
+module.exports = {choice, ref, policy, newest, output, dump, fill};
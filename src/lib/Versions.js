@@ -0,0 +1,83 @@
+'use strict';
+const semver = require('semver');
+
+// 3.15.0+181008, 2.73.1_plus_171220, 3.0.0-beta.3+170720, 2.06lts+171113...
+const VERSION    = /^v?(\d+)\.(\d+)(?:\.(\d+))?(?:[-_.]?((?:alpha|beta|rc)[\w.]*))?/i;
+const PRERELEASE = /alpha|beta|rc\d|[-_.]rc\b|[-_]dev\b/i;
+
+function parse(tag) {
+    const match = VERSION.exec(tag);
+    if (!match)
+        return null;
+    const [, major, minor, patch = '0', pre] = match;
+    let version = `${+major}.${+minor}.${+patch}`;
+    if (pre && semver.valid(`${version}-${pre}`))
+        version += `-${pre}`;
+    return {
+        tag,
+        group: `${+major}.${+minor}`,
+        version,
+        prerelease: !!pre || PRERELEASE.test(tag),
+        plus: /_plus_/i.test(tag)
+    };
+}
+
+/**
+ * Parsed versions of `tags` (in the same order) without the ones hidden by the options.
+ */
+function list(tags, {prereleases = true, plusBuilds = true} = {}) {
+    return tags.map(parse).filter(v => v
+                                       && (prereleases || !v.prerelease)
+                                       && (plusBuilds || !v.plus));
+}
+
+/**
+ * Newest tag matching the semver `range` (e.g. "^3.15" or "3.15.x").
+ */
+function newest(tags, range, options = {}) {
+    const matching = list(tags, options)
+        .filter(v => semver.satisfies(v.version, range, {includePrerelease: options.prereleases !== false}));
+    matching.sort((a, b) => semver.rcompare(a.version, b.version) || tags.indexOf(a.tag) - tags.indexOf(b.tag));
+    return matching.length ? matching[0].tag : null;
+}
+
+/**
+ * Choices of the version picker: branches first then tags, labelled with their major.minor
+ * group and date. `search` holds the text matched by `suggest()`.
+ */
+function choices({branches = [], tags = [], dates = {}}, options) {
+    return branches.map(branch => ({group: 'branch', value: branch, date: dates[branch]}))
+        .concat(list(tags, options).map(({tag, group}) => ({group, value: tag, date: dates[tag]})))
+        .map(choice => Object.assign(choice, {
+            search: [choice.group, choice.value].concat(choice.value.split(/[+_\-\s]+/))
+                .map(token => token.toLowerCase()),
+            title: choice.value
+        }));
+}
+
+function label(choices) {
+    const groupWidth = Math.max(0, ...choices.map(c => (c.group || '').length));
+    const valueWidth = Math.max(0, ...choices.map(c => String(c.value).length));
+    return choices.map((choice, i) => {
+        if (choice.group == null)
+            return choice;
+        const group = i > 0 && choices[i - 1].group === choice.group ? '' : choice.group;
+        return Object.assign({}, choice, {
+            title: `${group.padEnd(groupWidth)}  ${String(choice.value).padEnd(valueWidth)}  ${choice.date || ''}`
+                .trimEnd()
+        });
+    });
+}
+
+/**
+ * Filter of the autocomplete prompt: every word typed must start the group, the name or one of
+ * the parts of the name (3.15, 3.15.0+181008, 181008...).
+ */
+function suggest(input, choices) {
+    const words = String(input || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return Promise.resolve(label(choices.filter(choice => choice.search == null
+                                                          || words.every(w => choice.search
+                                                              .some(token => token.startsWith(w))))));
+}
+
+module.exports = {parse, list, newest, choices, suggest};